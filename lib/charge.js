@@ -1,12 +1,17 @@
+const _ = require('lodash')
 const parseArgs = require('minimist')
 const fs = require('fs')
 const path = require('path')
 
 const pkg = require('../package.json')
 const Exporter = require('./index')
+const RenderServer = require('./server')
 const argOptions = require('./options')
 const logger = require('./logger')
 
+/** Options of the `serve` command that configure the exporter instead of each export */
+const SERVER_OPTIONS = ['maxConcurrentJobs', 'maxQueueSize', 'windowPoolSize', 'windowMaxUses', 'windowMaxMemory']
+
 const argv = parseArgs(process.argv.slice(3), argOptions)
 const input = argv._[0] || argv.input
 const output = argv._[1] || argv.output
@@ -16,7 +21,11 @@ if (argv.version) {
   process.exit(0)
 }
 
-if (argv.help || !input || !output) {
+if (argv.help) {
+  usage(1)
+} else if (argv._[0] === 'serve') {
+  serve()
+} else if (!input || !output) {
   usage(1)
 } else {
   const exporter = new Exporter()
@@ -27,7 +36,29 @@ if (argv.help || !input || !output) {
         exporter.stop()
       })
       job.render()
+    }).catch(err => {
+      // e.g. an input that can't be read or invalid args
+      exporter.error(err instanceof Error ? err.message : err)
+      exporter.stop(1)
+    })
+  })
+  exporter.start(argv)
+}
+
+/**
+ * Keeps a single charged exporter running and renders documents over HTTP.
+ * Any export args provided on the command line become the defaults for
+ * every request.
+ */
+function serve () {
+  const exporter = new Exporter(_.extend({ resilient: true }, _.pick(argv, SERVER_OPTIONS)))
+  exporter.on('charged', () => {
+    const server = new RenderServer(exporter, {
+      port: argv.port,
+      host: argv.host,
+      args: _.omit(argv, ['_', 'port', 'host'].concat(SERVER_OPTIONS))
     })
+    server.start()
   })
   exporter.start(argv)
 }
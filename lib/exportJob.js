@@ -3,6 +3,7 @@
 // Node Modules
 const async = require('async')
 const fs = require('fs')
+const os = require('os')
 const path = require('path')
 const url = require('url')
 
@@ -13,6 +14,10 @@ const electron = require('electron')
 const uuid = require('uuid')
 
 const setLogger = require('./logger').set
+const PageArchiver = require('./pageArchiver')
+const PageStamper = require('./pageStamper')
+const PdfBinder = require('./pdfBinder')
+const TocBuilder = require('./tocBuilder')
 const WindowTailor = require('./windowTailor')
 const WindowMaid = require('./windowMaid')
 const wargs = require('./args')
@@ -24,12 +29,121 @@ const HUNG_WINDOW_CLEANUP_INTERVAL = process.env.ELECTRONPDF_WINDOW_CLEANUP_INTE
 
 /** When a ready event option is set, this is the default timeout.  It is overridden by the wait option */
 const MAX_READY_EVENT_WAIT = 10000
-/** Amount of millis to wait before invoking WebContents.capturePage for PNG exports */
+/** Amount of millis to wait before invoking WebContents.capturePage for image exports */
 const PNG_CAPTURE_DELAY = process.env.ELECTRONPDF_PNG_CAPTURE_DELAY || 100
+/** The image formats that can be exported, by file extension */
+const IMAGE_FORMATS = {
+  '.jpeg': 'jpeg',
+  '.jpg': 'jpeg',
+  '.png': 'png',
+  '.webp': 'webp'
+}
+/** The outputs that capture the content of the page rather than how it looks, by file extension */
+const CONTENT_FORMATS = ['.html', '.json', '.mhtml', '.txt']
+/** The types that can be exported, see the type arg */
+const OUTPUT_TYPES = _.map(_.concat(['.pdf'], _.keys(IMAGE_FORMATS), CONTENT_FORMATS), ext => ext.substring(1))
+/** The quality of JPEG and WebP exports when the quality arg is not provided */
+const DEFAULT_IMAGE_QUALITY = 90
+/**
+ * The tallest area, in device pixels, captured at once for full page and
+ * element images.  Taller areas are captured in segments which are stitched
+ * together so the captures stay within Chromium's texture size limit (16384
+ * device pixels) at any deviceScaleFactor.
+ */
+const MAX_CAPTURE_HEIGHT = 4096
+/** Measures the whole document, in CSS pixels */
+const PAGE_SIZE_SCRIPT = `({
+  width: Math.max(document.documentElement.scrollWidth, document.body ? document.body.scrollWidth : 0),
+  height: Math.max(document.documentElement.scrollHeight, document.body ? document.body.scrollHeight : 0)
+})`
 /** The event name for which Electron IPC is done over */
 const IPC_MAIN_CHANNEL_RENDER = 'READY_TO_RENDER'
 /** Prepended to events emitted during rendering */
 const RENDER_EVENT_PREFIX = 'job.render.'
+/** The DevTools protocol version used to print with header and footer templates */
+const DEVTOOLS_PROTOCOL_VERSION = '1.3'
+/** Margin, in inches, that Chromium uses for each marginsType when printing through DevTools */
+const MARGINS_TYPE_INCHES = {
+  0: 0.4, // default margins (1cm)
+  1: 0, // none
+  2: 0 // minimum, the printable area of a PDF is the whole page
+}
+/** Args that are only supported when printing through the DevTools protocol */
+const DEVTOOLS_PRINT_ARGS = [
+  'displayHeaderFooter', 'margins', 'marginTop', 'marginRight', 'marginBottom',
+  'marginLeft', 'scale', 'pageRanges', 'preferCSSPageSize'
+]
+/** Reads the PDF metadata from the document's <title> and <meta> tags */
+const PAGE_METADATA_SCRIPT = `(() => {
+  const meta = name => (document.querySelector('meta[name="' + name + '"]') || {}).content
+  return {
+    title: document.title,
+    author: meta('author'),
+    subject: meta('description'),
+    keywords: meta('keywords')
+  }
+})()`
+/** Reads the headings of the document and their offset from the top of the document, in CSS pixels */
+const HEADINGS_SCRIPT = `Array.from(document.querySelectorAll('h1, h2, h3, h4, h5, h6'))
+  .filter(h => h.getClientRects().length) // hidden headings are not printed
+  .map(h => ({
+    level: Number(h.tagName[1]),
+    title: h.textContent.replace(/\\s+/g, ' ').trim(),
+    top: h.getBoundingClientRect().top + window.scrollY
+  }))
+  .filter(h => h.title)`
+/** Reads the rendered text of the document, as the user would select and copy it */
+const TEXT_SCRIPT = `document.body ? document.body.innerText : ''`
+/**
+ * Reads the structured content of the document: the headings, links and the
+ * text blocks, which are the innermost paragraph-like elements
+ */
+const CONTENT_SCRIPT = `(() => {
+  const text = element => element.innerText.replace(/\\s+/g, ' ').trim()
+  const blockSelector = 'p, li, blockquote, pre, figcaption, dt, dd, td, th'
+  return {
+    title: document.title,
+    url: document.URL,
+    headings: ${HEADINGS_SCRIPT}.map(h => ({ level: h.level, text: h.title })),
+    links: Array.from(document.querySelectorAll('a[href]'))
+      .filter(a => /^(https?|file|mailto):/.test(a.href))
+      .map(a => ({ text: text(a), href: a.href })),
+    blocks: Array.from(document.querySelectorAll(blockSelector))
+      .filter(element => !element.querySelector(blockSelector))
+      .map(element => ({ type: element.tagName.toLowerCase(), text: text(element) }))
+      .filter(block => block.text)
+  }
+})()`
+/** Finds the element of the selector arg and its position in the document, in CSS pixels */
+const ELEMENT_RECT_SCRIPT = selector => `(() => {
+  const element = document.querySelector(${JSON.stringify(selector)})
+  if (!element) {
+    return null
+  }
+  const rect = element.getBoundingClientRect()
+  return { x: rect.left + window.scrollX, y: rect.top + window.scrollY, width: rect.width, height: rect.height }
+})()`
+/**
+ * Hides everything but the element of the selector arg (and the watermark) and
+ * moves the element to the top left of the first page
+ */
+const ISOLATE_ELEMENT_SCRIPT = selector => `(() => {
+  const element = document.querySelector(${JSON.stringify(selector)})
+  if (!element) {
+    return null
+  }
+  const rect = element.getBoundingClientRect()
+  const style = document.createElement('style')
+  style.textContent = 'body * { visibility: hidden !important; } ' +
+    '[data-electron-pdf-selected], [data-electron-pdf-selected] *, ' +
+    '[data-electron-pdf-watermark], [data-electron-pdf-watermark] * { visibility: visible !important; }'
+  document.head.appendChild(style)
+  element.setAttribute('data-electron-pdf-selected', '')
+  const position = { position: 'fixed', left: '0', top: '0', margin: '0', 'box-sizing': 'border-box',
+    width: rect.width + 'px', height: rect.height + 'px' }
+  Object.keys(position).forEach(name => element.style.setProperty(name, position[name], 'important'))
+  return { width: rect.width, height: rect.height }
+})()`
 
 const DEFAULT_OPTIONS = {
   closeWindow: true,
@@ -68,7 +182,8 @@ class ExportJob extends EventEmitter {
    *   with 'md' or 'markdown' extension.
    *
    * @param output The name of the file to export to.  If the extension is
-   *   '.png' then a PNG image will be generated instead of a PDF.
+   *   '.png', '.jpg', '.jpeg' or '.webp' then an image will be generated
+   *   instead of a PDF.
    *
    * @param {Object} args the minimist arg object; these args correlate to the CLI arguments
    *
@@ -85,7 +200,18 @@ class ExportJob extends EventEmitter {
    * @param {array} [options.orientations] must correlate to the input array and
    * contain a valid orientations ('landscape','portrait').  If not provided or
    *   length is not equal to source all orientations will be set to portrait
-   *   unless the landscape arg was provided.
+   *   unless the landscape arg (of the input, see inputArgs) was provided.
+   *
+   * @param {Array<Object>} [options.inputArgs] correlates to the input array,
+   *   args that are applied over the args while that input is exported (e.g.
+   *   the front matter of a markdown input, see Source.resolveInputs)
+   *
+   * @param {Boolean|Array<Boolean>} [options.fileResources] Whether the files
+   *   of the page (file: resources) are embedded by the selfContained arg, for
+   *   all inputs or for each input of the input array.  By default only for the
+   *   inputs that are files (see isFile), PDFExporter.createJob sets it for the
+   *   inputs the caller passed as files rather than the files they are
+   *   transformed into (e.g. markdown from a URL).
    *
    * @param {object} options.loggers inject your own logger functions which will
    * override the use of the visionmedia/debug default logger.  If you are using a
@@ -102,12 +228,21 @@ class ExportJob extends EventEmitter {
    * with a numeric index (1 ... options.input.length) allowing the caller to manipulate
    * the file suffix in a custom way. (e.g. instead output_1.pdf, you could generate output_00001.pdf)
    *
+   * @param {Number} [options.priority=0] When the exporter limits the number of
+   * concurrent jobs, queued jobs with a higher priority are rendered first
+   *
+   * When the `merge` arg is set and there are multiple inputs, the PDF of each
+   * input is joined into a single document written to `output` (or a single
+   * Buffer when inMemory), so results will only contain one entry.
+   *
    * @fires ExportJob#window.capture.end after each resource is captured (use
    *   this with inMemory)
    * @fires ExportJob#export-complete after each resource is available in
    *   memory or on the filesystem
    * @fires ExportJob#job-complete after all export resources are available on
    *   the filesystem
+   * @fires ExportJob#job.error when handling the output fails, e.g. a
+   *   job-complete listener throws
    */
   constructor (input, output, args, options) {
     super({
@@ -122,19 +257,35 @@ class ExportJob extends EventEmitter {
     this.args = args
     this.options = _.extend({}, DEFAULT_OPTIONS, options)
 
-    const defaultOrientation = this.args.landscape ? 'landscape' : 'portrait'
+    const inputArgs = this.options.inputArgs || []
     const validOrientation = _.size(this.options.orientations) === _.size(this.input)
     this.orientations = validOrientation
       ? this.options.orientations
-      : _.fill(Array(_.size(this.input)), defaultOrientation)
+      : this.input.map((uri, index) => {
+        return _.get(inputArgs[index], 'landscape', this.args.landscape) ? 'landscape' : 'portrait'
+      })
 
     if (_.startsWith(this.args.pageSize, '{')) {
       this.args.pageSize = JSON.parse(this.args.pageSize)
     }
+    // Fail now rather than once the page has loaded
+    WindowTailor.getMargins(this.args)
+    inputArgs.forEach(args => WindowTailor.getMargins(_.extend({}, this.args, args)))
+    WindowTailor.getDevice(this.args)
+    PageStamper.getWatermark(this.args)
+    PdfBinder.toPermissions(this.args.permissions)
+    TocBuilder.getToc(this.args)
+    this._getOutputTypes({}).forEach(type => {
+      if (type && !_.includes(OUTPUT_TYPES, type)) {
+        throw new Error(`Invalid type '${type}', expected one of: ${OUTPUT_TYPES.join(', ')}`)
+      }
+    })
 
     setLogger(this.options.loggers, this)
 
     this.originalArgs = _.cloneDeep(this.args)
+    // webContents listeners added by this job, see _addWebContentsListener
+    this.webContentsListeners = []
   }
 
   // ***************************************************************************
@@ -143,21 +294,18 @@ class ExportJob extends EventEmitter {
 
   /**
    * Render markdown or html to pdf
+   *
+   * If the job was created by an exporter that limits concurrent jobs, rendering
+   * starts once the job leaves the exporter's queue.
    */
   render () {
-    this.emit(`${RENDER_EVENT_PREFIX}start`)
-    this._launchBrowserWindow()
-    const win = this.window
-    WindowMaid.registerOpenWindow(this)
-
-    // TODO: Check for different domains, this is meant to support only a single origin
-    const firstUrl = this.input[0]
-    this._setSessionCookies(this.args.cookies, firstUrl, win.webContents.session.cookies)
-
-    // The same listeners can be used for each resource
-    this._passThroughEvents(win, RENDER_EVENT_PREFIX)
-
-    this._load(win)
+    if (this.queue) {
+      // The job takes the place createJob reserved in the queue
+      this.queueReservation && this.queueReservation()
+      this.queue.enqueue(this, () => this._render())
+    } else {
+      this._render()
+    }
   }
 
   /**
@@ -175,8 +323,9 @@ class ExportJob extends EventEmitter {
    *  that will be assigned to the context object for the current export.
    *
    *  Keys that are currently supported:
-   *  {String} type - a valid export type, for example 'png' can be used to change
-   *  the output from 'pdf' to a 'png' at runtime.
+   *  {String} type - a valid export type, for example 'png' (or 'jpg', 'jpeg'
+   *  and 'webp') can be used to change the output from 'pdf' to an image at runtime.
+   *  Several comma separated types (e.g. 'pdf,png') are each exported.
    *
    * @fires PDFExporter#window.observer.start when the observer is invoked
    * @fires PDFExporter#window.observer.timeout when the promise is not
@@ -209,15 +358,61 @@ class ExportJob extends EventEmitter {
    * Invoke this method to ensure that any allocated resources are destroyed
    * Resources managed:
    * - this.window
+   * - the place reserved in the exporter's queue (see PDFExporter.createJob)
+   *
+   * A job that is not rendered, or keeps its window (closeWindow: false), must
+   * be destroyed, or it counts against the exporter's maxQueueSize (until the
+   * reservationTimeout) and maxConcurrentJobs.
    */
   destroy () {
+    this.queueReservation && this.queueReservation()
     if (this.window) {
       try {
         this.info(`destroying job with window: ${this.window.id}`)
         WindowMaid.removeWindow(this.window.id)
-        this.window.close()
+        this._closeWindow(this.window)
       } finally {
         this.window = undefined
+        this.emit(`${RENDER_EVENT_PREFIX}window.close`)
+      }
+    }
+  }
+
+  /**
+   * @param input
+   * @returns {boolean} whether the input is a path or a file URL
+   */
+  static isFile (input) {
+    return _.isString(input) && (!/^[a-z][a-z0-9+.-]+:/i.test(input) || /^file:/i.test(input))
+  }
+
+  /**
+   * The BrowserWindow options used before any browserConfig arg is applied,
+   * also used to create the windows in a window pool.
+   *
+   * @param {String|Object} opts.pageSize
+   * @param {boolean} [opts.landscape=false]
+   * @param {boolean} [opts.trustRemoteContent=false]
+   * @param {String} opts.partition the session partition for the window
+   * @returns {Object} for BrowserWindow constructor
+   */
+  static defaultBrowserConfiguration (opts) {
+    const { pageSize, landscape, trustRemoteContent = false, partition } = opts
+    const pageDim = WindowTailor.getPageDimensions(pageSize, landscape)
+    return {
+      width: pageDim.x,
+      height: pageDim.y,
+      enableLargerThanScreen: true,
+      show: false,
+      center: true, // Display in center of screen,
+      webPreferences: {
+        nodeIntegration: trustRemoteContent,
+        preload: path.join(__dirname, 'preload.js'),
+        // This creates a new session for every browser window, otherwise the same
+        // default session is used from the main process which would break support
+        // for concurrency
+        // see http://electron.atom.io/docs/api/browser-window/#new-browserwindowoptions options.partition
+        partition
       }
     }
   }
@@ -226,6 +421,26 @@ class ExportJob extends EventEmitter {
   // ************************* Private Functions *******************************
   // ***************************************************************************
 
+  /**
+   * Opens the window and loads each input
+   * @private
+   */
+  _render () {
+    this.emit(`${RENDER_EVENT_PREFIX}start`)
+    this._launchBrowserWindow()
+    const win = this.window
+    WindowMaid.registerOpenWindow(this)
+
+    // TODO: Check for different domains, this is meant to support only a single origin
+    const firstUrl = this.input[0]
+    this._setSessionCookies(this.args.cookies, firstUrl, win.webContents.session.cookies)
+
+    // The same listeners can be used for each resource
+    this._passThroughEvents(win, RENDER_EVENT_PREFIX)
+
+    this._load(win)
+  }
+
   // Events
   /**
    * Listen for events and emit them from this job so clients can
@@ -235,20 +450,20 @@ class ExportJob extends EventEmitter {
    * @param renderPrefix
    */
   _passThroughEvents (win, renderPrefix) {
-    win.webContents.on('did-fail-load', (r) => {
+    this._addWebContentsListener(win, 'did-fail-load', (r) => {
       // http://electron.atom.io/docs/api/web-contents/#event-did-fail-load
       this.emit(`${renderPrefix}did-fail-load`, { results: r })
     })
-    win.webContents.on('did-start-loading', (r) => {
+    this._addWebContentsListener(win, 'did-start-loading', (r) => {
       this.emit(`${renderPrefix}did-start-loading`, { results: r })
     })
-    win.webContents.on('did-finish-load', (r) => {
+    this._addWebContentsListener(win, 'did-finish-load', (r) => {
       this.emit(`${renderPrefix}did-finish-load`, { results: r })
     })
-    win.webContents.on('dom-ready', (r) => {
+    this._addWebContentsListener(win, 'dom-ready', (r) => {
       this.emit(`${renderPrefix}dom-ready`, { results: r })
     })
-    win.webContents.on('did-get-response-details',
+    this._addWebContentsListener(win, 'did-get-response-details',
       function (event,
         status,
         newURL,
@@ -272,21 +487,50 @@ class ExportJob extends EventEmitter {
       })
   }
 
+  /**
+   * Adds a webContents listener that is removed when the job is done with the
+   * window, so a pooled window that is reused never notifies a previous job.
+   *
+   * @param win
+   * @param {String} event
+   * @param {Function} listener
+   * @param {boolean} [once=false]
+   * @private
+   */
+  _addWebContentsListener (win, event, listener, once) {
+    win.webContents[once ? 'once' : 'on'](event, listener)
+    this.webContentsListeners.push({ event, listener })
+  }
+
+  _removeWebContentsListeners (win) {
+    if (!win.isDestroyed()) {
+      this.webContentsListeners.forEach(({ event, listener }) => {
+        win.webContents.removeListener(event, listener)
+      })
+    }
+    this.webContentsListeners = []
+  }
+
   // Browser Setup
 
   /**
-   *
+   * @param {Boolean} landscape
+   * @param {Number} inputIndex The input being exported, see options.inputArgs
    * @private
    */
-  _initializeWindowForResource (landscape) {
+  _initializeWindowForResource (landscape, inputIndex) {
     WindowMaid.touchWindow(this.window.id)
     // Reset the generated flag for each input URL because this same job/window
     // can be reused in this scenario
     this.generated = false
 
+    // The input being exported, see _hasFileResources
+    this.inputIndex = inputIndex
+
     // args can be modified by the client, restore them for each resource
-    this.args = _.cloneDeep(this.originalArgs)
-    const dim = WindowTailor.setWindowDimensions(this.window, this.args.pageSize, landscape)
+    this.args = _.extend(_.cloneDeep(this.originalArgs), _.cloneDeep(_.get(this.options.inputArgs, inputIndex)))
+    const dim = WindowTailor.setWindowDimensions(this.window, this.args.pageSize, landscape,
+      this._getPrintLayout(this.args))
     dim && this.emit('window.resize', dim)
   }
 
@@ -320,20 +564,31 @@ class ExportJob extends EventEmitter {
   }
 
   /**
-   * Launch a browser window
+   * Launch a browser window, or lease one from the exporter's window pool
    * @param args {Object} the minimist arg object
    * @returns {BrowserWindow}
    *
    * @private
    */
   _launchBrowserWindow () {
-    const browserConfig = this._getBrowserConfiguration(this.args)
     this.emit('window.open.start', {})
+    if (this._usesWindowPool()) {
+      const win = this.windowPool.lease()
+      this.leasedWindow = true
+      // A hung window must not be returned to the pool
+      this.once('window.termination', () => { this.windowTerminated = true })
+      this.window = win
+      const [width, height] = win.getSize()
+      this.emit('window.open.end', { width, height, pooled: true })
+      return
+    }
+
+    const browserConfig = this._getBrowserConfiguration(this.args)
     this.debug('Electron browserConfig:', JSON.stringify(browserConfig))
     let win = new electron.BrowserWindow(browserConfig)
-    let browserWidth = parseInt(browserConfig.width);
-    let browserHeight = parseInt(browserConfig.height);
-    window.setSize(browserWidth, browserHeight);
+    let browserWidth = parseInt(browserConfig.width)
+    let browserHeight = parseInt(browserConfig.height)
+    win.setSize(browserWidth, browserHeight)
     this.window = win
     this.emit('window.open.end', {
       width: browserWidth,
@@ -345,6 +600,37 @@ class ExportJob extends EventEmitter {
     })
   }
 
+  /**
+   * Pooled windows are created with the default configuration, so jobs that
+   * customize the window or rely on its session events get their own window.
+   *
+   * @returns {boolean} true if the window should be leased from the pool
+   * @private
+   */
+  _usesWindowPool () {
+    return Boolean(this.windowPool) &&
+      !this.args.browserConfig &&
+      !this.args.noprint &&
+      !_.get(this.options, 'trustRemoteContent', false)
+  }
+
+  /**
+   * Closes the window, or returns it to the pool if it was leased
+   * @param win
+   * @private
+   */
+  _closeWindow (win) {
+    this._removeWebContentsListeners(win)
+    if (this.leasedWindow) {
+      // The window may be leased to another job as soon as it is released
+      this.leasedWindow = false
+      this.window = undefined
+      this.windowPool.release(win, this.windowTerminated)
+    } else {
+      win.close()
+    }
+  }
+
   /**
    * see
    * http://electron.atom.io/docs/api/browser-window/#new-browserwindowoptions
@@ -353,26 +639,12 @@ class ExportJob extends EventEmitter {
    * @private
    */
   _getBrowserConfiguration (args) {
-    const pageDim = WindowTailor.getPageDimensions(args.pageSize, args.landscape)
-    const trustRemoteContent = _.get(this.options, 'trustRemoteContent', false)
-
-    const defaultOpts = {
-      width: pageDim.x,
-      height: pageDim.y,
-      enableLargerThanScreen: true,
-      show: false,
-      center: true, // Display in center of screen,
-      webPreferences: {
-        nodeIntegration: trustRemoteContent,
-        preload: path.join(__dirname, 'preload.js')
-      }
-    }
-
-    // This creates a new session for every browser window, otherwise the same
-    // default session is used from the main process which would break support
-    // for concurrency
-    // see http://electron.atom.io/docs/api/browser-window/#new-browserwindowoptions options.partition
-    defaultOpts.webPreferences.partition = this.jobId
+    const defaultOpts = ExportJob.defaultBrowserConfiguration({
+      pageSize: args.pageSize,
+      landscape: args.landscape,
+      trustRemoteContent: _.get(this.options, 'trustRemoteContent', false),
+      partition: this.jobId
+    })
 
     let cmdLineBrowserConfig = {}
     try {
@@ -382,6 +654,10 @@ class ExportJob extends EventEmitter {
         args.browserConfig,
         '\nError:', e)
     }
+    const viewport = this._getViewport(args)
+    if (viewport) {
+      _.extend(defaultOpts, viewport)
+    }
     return _.extend(defaultOpts, cmdLineBrowserConfig)
   }
 
@@ -430,8 +706,8 @@ class ExportJob extends EventEmitter {
     } else {
       this._renderAndCollectOutput(win, (context, outputDoneFn, observerContext) => {
         const ctx = _.extend({}, observerContext, context)
-        const targetFile = this._getTargetFile(ctx)
-        this._generateOutput(ctx, targetFile, outputDoneFn)
+        const targetFiles = this._getOutputTypes(ctx).map(type => this._getTargetFile(_.extend({}, ctx, { type })))
+        this._generateOutput(ctx, targetFiles, outputDoneFn)
       })
     }
   }
@@ -475,23 +751,88 @@ class ExportJob extends EventEmitter {
       windowEvents.push((outputDoneFn) => this._captureWindow(context, generateFunc, outputDoneFn))
     })
 
-    async.series(windowEvents, (err, results) => {
+    async.series(windowEvents, (err, inputResults) => {
+      // An input exported to several types has a result for each type
+      const results = _.flatten(inputResults)
       if (this.options.closeWindow) {
-        win.close()
+        this._closeWindow(win)
         this.emit(`${RENDER_EVENT_PREFIX}window.close`)
       }
-      /**
-       * PDF Generation Event - fires when all PDFs have been persisted to disk
-       * @event PDFExporter#job.complete
-       * @type {object}
-       * @property {String} results - array of generated pdf file locations
-       * @property {Object} error - If an error occurred, null otherwise
-       */
-      this.emit(`${RENDER_EVENT_PREFIX}complete`, { results: results, error: err })
-      this.emit('job-complete', { results: results, error: err }) // Deprecated
+      this._completeResults(err, results, (err, results) => {
+        /**
+         * PDF Generation Event - fires when all PDFs have been persisted to disk
+         * @event PDFExporter#job.complete
+         * @type {object}
+         * @property {String} results - array of generated pdf file locations
+         * @property {Object} error - If an error occurred, null otherwise
+         */
+        this.emit(`${RENDER_EVENT_PREFIX}complete`, { results: results, error: err })
+        this.emit('job-complete', { results: results, error: err }) // Deprecated
+      })
     })
   }
 
+  /**
+   * Applies any processing that requires the output of every input, i.e.
+   * merging the PDFs into a single document.
+   *
+   * @param err
+   * @param {Array} results the output of each input
+   * @param {Function} done invoked with (err, results)
+   * @private
+   */
+  _completeResults (err, results, done) {
+    if (err || !this._isMerging()) {
+      return done(err, results)
+    }
+    this.emit('job.merge.start', { count: _.size(results) })
+    const security = this._getSecurity(this.args)
+    PdfBinder.merge(results).then(merged => {
+      return security ? PdfBinder.encrypt(merged, security) : merged
+    }).then(merged => {
+      this.emit('job.merge.end', {})
+      if (this.options.inMemory) {
+        done(null, [merged])
+      } else {
+        const target = path.resolve(this.output)
+        fs.writeFile(target, merged, fileWriteErr => done(fileWriteErr, [target]))
+      }
+    }).catch(mergeErr => done(mergeErr, results))
+  }
+
+  /**
+   * @returns {boolean} true if the PDF of each input is joined into a single output file
+   * @private
+   */
+  _isMerging () {
+    return Boolean(this.args.merge) &&
+      _.size(this.input) > 1 &&
+      _.every(this._getOutputTypes({}), type => {
+        const file = this._getTargetFile({ inputIndex: 0, type })
+        return !this._getImageFormat(file) && !this._isContentFormat(file)
+      })
+  }
+
+  /**
+   * The types to export each input to, from the context (see
+   * observeReadyEvent) or the type arg.  Either may list several types, comma
+   * separated, which are all captured from a single page load.
+   *
+   * @param {Object} context
+   * @param {String|Array} [context.type]
+   * @returns {Array<String>} the types, [undefined] if the extension of the
+   *   output decides the type
+   * @private
+   */
+  _getOutputTypes (context) {
+    const types = context.type || this.args.type
+    if (!types) {
+      return [undefined]
+    }
+    const list = _.flatMap(_.castArray(types), type => String(type).split(','))
+    return _.uniq(_.compact(_.map(list, type => _.trim(type).toLowerCase())))
+  }
+
   /**
    * Loads a Uri and prepares the window for export based on the options provided.
    *
@@ -505,11 +846,50 @@ class ExportJob extends EventEmitter {
   _captureWindow (context, generateFn, outputDoneFn) {
     const { window, uriPath } = context
     const orientation = this.orientations[context.inputIndex]
-    this._initializeWindowForResource(orientation === 'landscape')
+    this._initializeWindowForResource(orientation === 'landscape', context.inputIndex)
     const generateFunction = generateFn.bind(this, context, outputDoneFn)
     const waitFunction = this._waitForPage.bind(this, window, generateFunction, this.args.outputWait)
-    window.webContents.once('did-finish-load', waitFunction)
-    this._loadURL(window, uriPath)
+    this._addWebContentsListener(window, 'did-finish-load', waitFunction, true)
+    this._emulateDevice(window)
+      .catch(err => this.error('Unable to emulate the device, loading without it:', err))
+      .then(() => this._loadURL(window, uriPath))
+  }
+
+  /**
+   * Emulates the device (see WindowTailor.getDevice) before the page is
+   * loaded.  The DevTools protocol only emulates while it is attached, so it
+   * stays attached until the window is closed or returned to the pool.
+   *
+   * @param window
+   * @returns {Promise} fulfilled when the device is emulated
+   * @private
+   */
+  _emulateDevice (window) {
+    const device = WindowTailor.getDevice(this.args)
+    if (!device) {
+      return Promise.resolve()
+    }
+    const devTools = window.webContents.debugger
+    if (!devTools.isAttached()) {
+      devTools.attach(DEVTOOLS_PROTOCOL_VERSION)
+    }
+    const commands = [
+      ['Emulation.setDeviceMetricsOverride', {
+        // 0 keeps the window size
+        width: device.width || 0,
+        height: device.height || 0,
+        deviceScaleFactor: device.deviceScaleFactor,
+        mobile: device.mobile
+      }],
+      ['Emulation.setTouchEmulationEnabled', { enabled: device.touch, maxTouchPoints: device.touch ? 5 : 1 }]
+    ]
+    if (device.userAgent) {
+      commands.push(['Emulation.setUserAgentOverride', _.omitBy({
+        userAgent: device.userAgent,
+        acceptLanguage: this.args.acceptLanguage
+      }, _.isNil)])
+    }
+    return Promise.all(commands.map(([method, params]) => this._sendDevToolsCommand(window, method, params)))
   }
 
   /**
@@ -695,85 +1075,499 @@ class ExportJob extends EventEmitter {
   }
 
   /**
-   * Create the PDF or PNG file.
+   * Create the PDF, image or HTML file(s).
    *
    * Because of timeouts and promises being resolved this function
    * is implemented to be idempotent
    *
    * @param context.window
-   * @param context.type
-   * @param outputFile
-   * @param {Function} outputDoneFn callback that is invoked when the output file is complete (or errored)
+   * @param {String|Array<String>} outputFiles the file for each type to export
+   * @param {Function} outputDoneFn callback that is invoked when the output
+   *   files are complete (or errored), with an Array of results when there are
+   *   several files
    *
    * @private
    */
-  _generateOutput (context, outputFile, outputDoneFn) {
+  _generateOutput (context, outputFiles, outputDoneFn) {
     const { window } = context
     if (!this.generated) {
       this.generated = true
       // Multi-resource jobs can have different orientations, so resize the
       // window based on the orientations, which can be updated by the client
       // using changeArgValue
-      const dim = WindowTailor.setWindowDimensions(this.window, this.args.pageSize, this.args.landscape)
+      const dim = WindowTailor.setWindowDimensions(this.window, this.args.pageSize, this.args.landscape,
+        this._getPrintLayout(this.args))
       dim && this.emit('window.resize', dim)
 
+      const files = _.castArray(outputFiles)
       this.emit('window.capture.start', {})
-      this._triggerProcessStats('window.capture.start').then(() => {
-        if (outputFile.toLowerCase().endsWith('.png')) {
-          this._captureImage(window, outputFile, outputDoneFn)
-        } else if (outputFile.toLowerCase().endsWith('.html')) {
-          this._captureHtml(window, outputFile, outputDoneFn)
-        } else {
-          this._capturePDF(this.args, window, outputDoneFn, outputFile)
-        }
-      })
+      this._triggerProcessStats('window.capture.start')
+        .then(() => this._addToc(this.args, window))
+        .then(() => this._captureFiles(window, files))
+        .then(results => outputDoneFn(null, files.length === 1 ? results[0] : results), outputDoneFn)
+        .catch(err => {
+          /**
+           * Fires when handling the output failed, e.g. a job-complete
+           * listener threw
+           * @event ExportJob#job.error
+           * @type {object}
+           * @property {Error} error
+           */
+          this.emit('job.error', { error: err })
+        })
+    }
+  }
+
+  /**
+   * Captures each file from the page as it is.  The content of the page is
+   * captured first, then the watermark is added for images and the PDF,
+   * which is last because exporting a selected element changes the page.
+   *
+   * @param window
+   * @param {Array<String>} files
+   * @returns {Promise<Array>} the result of each file, in the same order
+   * @private
+   */
+  _captureFiles (window, files) {
+    const phase = file => this._isContentFormat(file) ? 0 : this._getImageFormat(file) ? 1 : 2
+    const results = {}
+    let stamped
+    return _.sortBy(files, phase).reduce((previous, file) => previous.then(() => {
+      if (!stamped && phase(file) > 0) {
+        stamped = this._stampWindow(window, file)
+      }
+      return new Promise((resolve, reject) => {
+        const done = (err, data) => err ? reject(err) : resolve(data)
+        Promise.resolve(stamped)
+          .then(() => this._captureFile(window, file, done), err => {
+            this.error('unable to add the watermark:', err)
+            this._emitResourceEvents(err, undefined, done)
+          })
+          .catch(reject)
+      }).then(result => { results[file] = result })
+    }), Promise.resolve()).then(() => files.map(file => results[file]))
+  }
+
+  /**
+   * Captures the page to the output file, the file extension decides the type
+   *
+   * @param window
+   * @param {String} outputFile
+   * @param {Function} outputDoneFn
+   * @private
+   */
+  _captureFile (window, outputFile, outputDoneFn) {
+    if (this._getImageFormat(outputFile)) {
+      this._captureImage(window, outputFile, outputDoneFn)
+    } else if (outputFile.toLowerCase().endsWith('.html')) {
+      this._captureHtml(window, outputFile, outputDoneFn)
+    } else if (outputFile.toLowerCase().endsWith('.mhtml')) {
+      this._captureMhtml(window, outputFile, outputDoneFn)
+    } else if (outputFile.toLowerCase().endsWith('.txt')) {
+      this._captureText(window, outputFile, outputDoneFn)
+    } else if (outputFile.toLowerCase().endsWith('.json')) {
+      this._captureContent(window, outputFile, outputDoneFn)
+    } else {
+      this._capturePDF(this.args, window, outputDoneFn, outputFile)
     }
   }
 
+  /**
+   * Overlays the watermark on the page, unless the content of the page is
+   * the output rather than how it looks.
+   *
+   * @param window
+   * @param outputFile
+   * @returns {Promise} fulfilled when the page is ready to be captured
+   * @private
+   */
+  _stampWindow (window, outputFile) {
+    if (this._isContentFormat(outputFile)) {
+      return Promise.resolve()
+    }
+    return PageStamper.loadWatermark(this.args).then(watermark => {
+      return watermark && window.webContents.executeJavaScript(PageStamper.getStampScript(watermark))
+    })
+  }
+
+  /**
+   * Captures the HTML of the page as it is rendered.  With the selfContained
+   * arg the stylesheets, images and fonts are embedded too.
+   *
+   * @private
+   */
   _captureHtml (window, outputFile, done) {
-    window.webContents.executeJavaScript('document.documentElement.outerHTML', result => {
-      const target = path.resolve(outputFile)
-      fs.writeFile(target, result, function (err) {
-        this._emitResourceEvents(err, target, done)
-      }.bind(this))
+    const html = this.args.selfContained
+      ? this._getSelfContainedHtml(window)
+      : window.webContents.executeJavaScript('document.documentElement.outerHTML')
+    html.then(result => this._writeOutput(Buffer.from(result), outputFile, done))
+      .catch(err => this._emitResourceEvents(err, undefined, done))
+  }
+
+  /**
+   * Captures the rendered text of the page, e.g. for search indexing
+   *
+   * @private
+   */
+  _captureText (window, outputFile, done) {
+    window.webContents.executeJavaScript(TEXT_SCRIPT)
+      .then(text => this._writeOutput(Buffer.from(text), outputFile, done))
+      .catch(err => this._emitResourceEvents(err, undefined, done))
+  }
+
+  /**
+   * Captures the structured content of the page as JSON: its title, url,
+   * headings, links and text blocks
+   *
+   * @private
+   */
+  _captureContent (window, outputFile, done) {
+    window.webContents.executeJavaScript(CONTENT_SCRIPT)
+      .then(content => this._writeOutput(Buffer.from(JSON.stringify(content, null, 2)), outputFile, done))
+      .catch(err => this._emitResourceEvents(err, undefined, done))
+  }
+
+  /**
+   * An MHTML archive holds the page and all of its resources in a single file
+   *
+   * @private
+   */
+  _captureMhtml (window, outputFile, done) {
+    // savePage can only write to a file
+    const target = this.options.inMemory
+      ? path.join(os.tmpdir(), `electron-pdf-${uuid()}.mhtml`)
+      : path.resolve(outputFile)
+    window.webContents.savePage(target, 'MHTML')
+      .then(() => {
+        if (!this.options.inMemory) {
+          return target
+        }
+        const data = fs.readFileSync(target)
+        fs.unlinkSync(target)
+        return data
+      })
+      .then(result => this._emitResourceEvents(undefined, result, done))
+      .catch(err => this._emitResourceEvents(err, undefined, done))
+  }
+
+  /**
+   * @param window
+   * @returns {Promise<String>} the HTML of the page with its resources
+   *   embedded as data URIs, see PageArchiver
+   * @private
+   */
+  _getSelfContainedHtml (window) {
+    const { webContents } = window
+    return webContents.executeJavaScript(PageArchiver.getResourcesScript())
+      .then(resources => PageArchiver.inline(resources, href => this._fetchResource(window, href)))
+      .then(inlined => {
+        inlined.failed.forEach(href => this.error('unable to embed resource, keeping its url:', href))
+        return webContents.executeJavaScript(PageArchiver.getInlineScript(inlined))
+      })
+  }
+
+  /**
+   * Fetches a resource of the page with the window's session, so the request
+   * has the same cookies as the page's requests.
+   *
+   * Files are only read for inputs that have file resources (see
+   * options.fileResources), a remote page or markdown from a URL can't have
+   * the files of this machine embedded.
+   *
+   * @param window
+   * @param {String} href
+   * @returns {Promise<{data: Buffer, type: String}>}
+   * @private
+   */
+  _fetchResource (window, href) {
+    if (_.startsWith(href, 'file:')) {
+      if (!this._hasFileResources(this.inputIndex)) {
+        return Promise.reject(new Error(`${href} is a file and the input is not`))
+      }
+      const file = url.fileURLToPath(href)
+      return fs.promises.readFile(file).then(data => ({ data, type: PageArchiver.getContentType(file) }))
+    }
+    return new Promise((resolve, reject) => {
+      const request = electron.net.request({ url: href, session: window.webContents.session, useSessionCookies: true })
+      request.on('response', response => {
+        if (response.statusCode >= 400) {
+          reject(new Error(`${response.statusCode} ${href}`))
+          return
+        }
+        const chunks = []
+        response.on('data', chunk => chunks.push(chunk))
+        response.on('end', () => resolve({
+          data: Buffer.concat(chunks),
+          type: _.head(_.castArray(response.headers['content-type']))
+        }))
+        response.on('error', reject)
+      })
+      request.on('error', reject)
+      request.end()
     })
   }
 
+  /**
+   * @param {Number} [inputIndex=0] see options.inputArgs
+   * @returns {boolean} whether the files of the input's page can be embedded,
+   *   see options.fileResources
+   * @private
+   */
+  _hasFileResources (inputIndex) {
+    const index = inputIndex || 0
+    const fileResources = this.options.fileResources
+    if (_.isBoolean(fileResources)) {
+      return fileResources
+    }
+    return _.isArray(fileResources) ? Boolean(fileResources[index]) : ExportJob.isFile(this.input[index])
+  }
+
   _captureImage (window, outputFile, outputDoneFn) {
     // We need a short timeout here or the image may not be captured fully
     // https://github.com/electron/electron/issues/6622
     setTimeout(() => {
-      window.webContents.capturePage().then(image => {
-        // http://electron.atom.io/docs/api/native-image/#imagetopng
-        const pngBuffer = image.toPNG()
-        if (this.options.inMemory) {
-          this._emitResourceEvents(undefined, pngBuffer, outputDoneFn)
-        } else {
-          const target = path.resolve(outputFile)
-          fs.writeFile(target, pngBuffer, function (err) {
-            this._emitResourceEvents(err, target, outputDoneFn)
-          }.bind(this))
-        }
-      })
+      this._capturePage(window, this._getImageFormat(outputFile))
+        .then(imageBuffer => this._writeOutput(imageBuffer, outputFile, outputDoneFn))
+        .catch(err => this._emitResourceEvents(err, undefined, outputDoneFn))
     }, PNG_CAPTURE_DELAY)
   }
 
-  _capturePDF (args, window, done, outputFile) {
-    // TODO: Validate these because if they're wrong a non-obvious error will occur
-    const pdfOptions = {
-      marginsType: args.marginsType,
-      printBackground: args.printBackground,
-      printSelectionOnly: args.printSelectionOnly,
-      pageSize: args.pageSize,
-      landscape: args.landscape
+  /**
+   * Writes the output file, or passes the data on for in memory exports
+   *
+   * @param {Buffer} data
+   * @param outputFile
+   * @param outputDoneFn
+   * @private
+   */
+  _writeOutput (data, outputFile, outputDoneFn) {
+    if (this.options.inMemory) {
+      this._emitResourceEvents(undefined, data, outputDoneFn)
+      return
     }
-    this.debug(pdfOptions)
+    const target = path.resolve(outputFile)
+    fs.writeFile(target, data, err => this._emitResourceEvents(err, target, outputDoneFn))
+  }
+
+  /**
+   * Electron can only encode PNG and JPEG images, WebP images are captured
+   * through the DevTools protocol.  So are images of an emulated device,
+   * Electron ignores its device scale factor.
+   *
+   * @param window
+   * @param {String} format png, jpeg or webp
+   * @returns {Promise<Buffer>} the image
+   * @private
+   */
+  _capturePage (window, format) {
+    const quality = this._getImageQuality()
+    if (this.args.selector) {
+      return this._captureElement(window, format, quality)
+    }
+    if (this.args.fullPage) {
+      return this._captureFullPage(window, format, quality)
+    }
+    if (format === 'webp' || WindowTailor.getDevice(this.args)) {
+      return this._captureScreenshot(window, { format, quality })
+    }
+    return window.webContents.capturePage().then(image => {
+      // http://electron.atom.io/docs/api/native-image/#imagetopng
+      return format === 'jpeg' ? image.toJPEG(quality) : image.toPNG()
+    })
+  }
+
+  /**
+   * Captures the whole document rather than the window, which is only the
+   * size of one page.
+   *
+   * @param window
+   * @param {String} format png, jpeg or webp
+   * @param {Number} quality
+   * @returns {Promise<Buffer>} the image
+   * @private
+   */
+  _captureFullPage (window, format, quality) {
+    return window.webContents.executeJavaScript(PAGE_SIZE_SCRIPT).then(size => {
+      return this._captureArea(window, { x: 0, y: 0, width: size.width, height: size.height }, format, quality)
+    })
+  }
+
+  /**
+   * Captures an area of the document.  An area that is too tall to capture at
+   * once (see MAX_CAPTURE_HEIGHT) is captured in segments that are stitched
+   * together.
+   *
+   * @param window
+   * @param {{x: Number, y: Number, width: Number, height: Number}} area In CSS
+   *   pixels, from the top left of the document
+   * @param {String} format png, jpeg or webp
+   * @param {Number} quality
+   * @returns {Promise<Buffer>} the image
+   * @private
+   */
+  _captureArea (window, area, format, quality) {
+    const device = WindowTailor.getDevice(this.args)
+    const segments = WindowTailor.getCaptureSegments(area.height, MAX_CAPTURE_HEIGHT, device ? device.deviceScaleFactor : 1)
+    const clip = segment => ({ x: area.x, y: area.y + segment.y, width: area.width, height: segment.height, scale: 1 })
+    if (segments.length === 1) {
+      return this._captureScreenshot(window, { format, quality, clip: clip(segments[0]), captureBeyondViewport: true })
+    }
+    if (format === 'webp') {
+      return Promise.reject(new Error(`The capture is too tall (${area.height}px) for a WebP image, use a PNG or JPEG output instead`))
+    }
+    // Segments are captured losslessly and only encoded once stitched
+    return segments.reduce((previous, segment) => {
+      return previous.then(images => {
+        return this._captureScreenshot(window, { format: 'png', clip: clip(segment), captureBeyondViewport: true })
+          .then(image => images.concat(image))
+      })
+    }, Promise.resolve([])).then(images => this._stitchImages(images, format, quality))
+  }
+
+  /**
+   * Captures the element of the selector arg, wherever it is in the document
+   *
+   * @param window
+   * @param {String} format png, jpeg or webp
+   * @param {Number} quality
+   * @returns {Promise<Buffer>} the image
+   * @private
+   */
+  _captureElement (window, format, quality) {
+    return this._findElement(window, this.args.selector, ELEMENT_RECT_SCRIPT).then(rect => {
+      const x = Math.floor(rect.x)
+      const y = Math.floor(rect.y)
+      const area = {
+        x,
+        y,
+        width: Math.max(1, Math.ceil(rect.x + rect.width) - x),
+        height: Math.max(1, Math.ceil(rect.y + rect.height) - y)
+      }
+      return this._captureArea(window, area, format, quality)
+    })
+  }
+
+  /**
+   * Runs a script that finds the element of a selector
+   *
+   * @param window
+   * @param {String} selector
+   * @param {Function} scriptFn returns the script for the selector, the script
+   *   must evaluate to null when there is no such element
+   * @returns {Promise<Object>} the result of the script
+   * @private
+   */
+  _findElement (window, selector, scriptFn) {
+    return window.webContents.executeJavaScript(scriptFn(selector)).then(result => {
+      if (!result) {
+        throw new Error(`No element matches the selector '${selector}'`)
+      }
+      return result
+    })
+  }
+
+  /**
+   * When the selector arg is set, only its element is printed, on a single page
+   * that is sized to fit it.  The args are updated with that page size and
+   * are restored for the next input.
+   *
+   * @param args
+   * @param window
+   * @returns {Promise} fulfilled when the page is ready to be printed
+   * @private
+   */
+  _selectElement (args, window) {
+    if (!args.selector) {
+      return Promise.resolve()
+    }
+    return this._findElement(window, args.selector, ISOLATE_ELEMENT_SCRIPT).then(size => {
+      const layout = {
+        margins: _.extend({ top: 0, right: 0, bottom: 0, left: 0 }, WindowTailor.getMargins(args)),
+        scale: Number(args.scale) || 1
+      }
+      const { top, right, bottom, left } = layout.margins
+      _.extend(args, {
+        pageSize: WindowTailor.getPageSizeToFit(size, layout),
+        margins: `${top}in ${right}in ${bottom}in ${left}in`,
+        landscape: false,
+        pageRanges: '1'
+      })
+    })
+  }
+
+  /**
+   * @param window
+   * @param {Object} params see the DevTools protocol Page.captureScreenshot command
+   * @returns {Promise<Buffer>} the image
+   * @private
+   */
+  _captureScreenshot (window, params) {
+    // quality is only supported for lossy formats
+    const screenshotParams = params.format === 'png' ? _.omit(params, 'quality') : params
+    return this._sendDevToolsCommand(window, 'Page.captureScreenshot', screenshotParams)
+      .then(result => Buffer.from(result.data, 'base64'))
+  }
+
+  /**
+   * Joins images of the same width from top to bottom
+   *
+   * @param {Array<Buffer>} images PNG images
+   * @param {String} format png or jpeg
+   * @param {Number} quality
+   * @returns {Buffer} the image
+   * @private
+   */
+  _stitchImages (images, format, quality) {
+    const segments = images.map(image => electron.nativeImage.createFromBuffer(image))
+    const { width } = segments[0].getSize()
+    const height = _.sumBy(segments, segment => segment.getSize().height)
+    // Bitmaps are stored row by row, so appending them stacks the images
+    const bitmap = Buffer.concat(segments.map(segment => segment.toBitmap()))
+    const image = electron.nativeImage.createFromBitmap(bitmap, { width, height })
+    return format === 'jpeg' ? image.toJPEG(quality) : image.toPNG()
+  }
+
+  /**
+   * @param {String} file
+   * @returns {String} png, jpeg or webp if the file is an image, undefined otherwise
+   * @private
+   */
+  _getImageFormat (file) {
+    return IMAGE_FORMATS[path.extname(file).toLowerCase()]
+  }
+
+  /**
+   * @param {String} file
+   * @returns {boolean} true if the file captures the content of the page (see
+   *   CONTENT_FORMATS) rather than how it looks
+   * @private
+   */
+  _isContentFormat (file) {
+    return _.includes(CONTENT_FORMATS, path.extname(file).toLowerCase())
+  }
+
+  /**
+   * @returns {Number} the quality arg as an Integer from 0 to 100
+   * @private
+   */
+  _getImageQuality () {
+    const quality = _.isNil(this.args.quality) ? DEFAULT_IMAGE_QUALITY : Math.round(this.args.quality)
+    return _.clamp(quality, 0, 100)
+  }
+
+  _capturePDF (args, window, done, outputFile) {
     try {
-      window.webContents.printToPDF(pdfOptions)
+      let info
+      this._selectElement(args, window)
+        .then(() => Promise.all([this._getMetadata(args, window), this._getOutline(args, window)]))
+        .then(([metadata, outline]) => {
+          info = { metadata, outline, security: this._getSecurity(args) }
+          return this._printToPDF(args, window)
+        })
         .then(data => {
           this.debug(`success printing PDF.`)
           this._triggerProcessStats('pdf.complete').then(() => {
-            this._handlePDF(outputFile, done, undefined, data)
+            this._handlePDF(outputFile, done, undefined, data, info)
           })
         })
         .catch(error => {
@@ -788,25 +1582,298 @@ class ExportJob extends EventEmitter {
     }
   }
 
+  /**
+   * Electron's printToPDF does not support header and footer templates, custom
+   * margins, scale, page ranges or the CSS page size; when any of them are used
+   * the page is printed through the DevTools protocol instead.
+   *
+   * @param args
+   * @param window
+   * @returns {Promise<Buffer>} the PDF
+   * @private
+   */
+  _printToPDF (args, window) {
+    if (this._printsWithDevTools(args)) {
+      const printOptions = this._getDevToolsPrintOptions(args)
+      this.debug(printOptions)
+      return this._sendDevToolsCommand(window, 'Page.printToPDF', printOptions)
+        .then(result => Buffer.from(result.data, 'base64'))
+    }
+
+    // TODO: Validate these because if they're wrong a non-obvious error will occur
+    const pdfOptions = {
+      marginsType: args.marginsType,
+      printBackground: args.printBackground,
+      printSelectionOnly: args.printSelectionOnly,
+      pageSize: args.pageSize,
+      landscape: args.landscape
+    }
+    this.debug(pdfOptions)
+    return window.webContents.printToPDF(pdfOptions)
+  }
+
+  /**
+   * Translates the args into the parameters for the DevTools Page.printToPDF command
+   * https://chromedevtools.github.io/devtools-protocol/tot/Page/#method-printToPDF
+   *
+   * @param args
+   * @returns {Object}
+   * @private
+   */
+  _getDevToolsPrintOptions (args) {
+    const paper = WindowTailor.getPaperSize(args.pageSize)
+    const margins = this._getPrintMargins(args)
+    return _.omitBy({
+      landscape: Boolean(args.landscape),
+      printBackground: Boolean(args.printBackground),
+      paperWidth: paper.width,
+      paperHeight: paper.height,
+      marginTop: margins.top,
+      marginBottom: margins.bottom,
+      marginLeft: margins.left,
+      marginRight: margins.right,
+      scale: args.scale ? Number(args.scale) : undefined,
+      pageRanges: args.pageRanges ? String(args.pageRanges) : undefined,
+      preferCSSPageSize: Boolean(args.preferCSSPageSize),
+      displayHeaderFooter: Boolean(args.displayHeaderFooter),
+      headerTemplate: this._resolveTemplate(args.headerTemplate),
+      footerTemplate: this._resolveTemplate(args.footerTemplate)
+    }, _.isUndefined)
+  }
+
+  /**
+   * @param args
+   * @returns {boolean} true if an arg requires printing through the DevTools protocol
+   * @private
+   */
+  _printsWithDevTools (args) {
+    return _.some(DEVTOOLS_PRINT_ARGS, arg => !_.isNil(args[arg]) && args[arg] !== false)
+  }
+
+  /**
+   * The margins of the marginsType arg, overridden by any explicit margins
+   *
+   * @param args
+   * @returns {{top: {number}, right: {number}, bottom: {number}, left: {number}}} in inches
+   * @private
+   */
+  _getPrintMargins (args) {
+    const margin = _.get(MARGINS_TYPE_INCHES, args.marginsType, 0)
+    // Headers and footers are rendered inside the margins, without a margin they
+    // would not be visible so Chromium's default margin is used instead
+    const vertical = args.displayHeaderFooter ? (margin || MARGINS_TYPE_INCHES[0]) : margin
+    const defaults = { top: vertical, right: margin, bottom: vertical, left: margin }
+    return _.extend(defaults, WindowTailor.getMargins(args))
+  }
+
+  /**
+   * The window is sized to the printable area so the content is laid out at
+   * the width it will be printed at.  Only explicit margins are considered,
+   * sizing for marginsType has always been left to Chromium.
+   *
+   * @param args
+   * @returns {{margins: Object, scale: Number, viewport: Object}} see
+   *   WindowTailor.getPrintableDimensions
+   * @private
+   */
+  _getPrintLayout (args) {
+    return _.omitBy({
+      margins: WindowTailor.getMargins(args),
+      scale: Number(args.scale) || 1,
+      viewport: this._getViewport(args)
+    }, _.isUndefined)
+  }
+
+  /**
+   * @param args
+   * @returns {{width: Number, height: Number}} the viewport of the emulated
+   *   device, undefined if the window is sized to the page
+   * @private
+   */
+  _getViewport (args) {
+    const device = WindowTailor.getDevice(args)
+    return device && device.width ? _.pick(device, 'width', 'height') : undefined
+  }
+
+  /**
+   * @param {String} template inline HTML or the path to an HTML file
+   * @returns {String} the template HTML, undefined uses the Chromium default
+   * @private
+   */
+  _resolveTemplate (template) {
+    if (_.isString(template) && !_.startsWith(_.trim(template), '<') && fs.existsSync(template)) {
+      return fs.readFileSync(template, 'utf8')
+    }
+    return template
+  }
+
+  /**
+   * @param window
+   * @param {String} method the DevTools protocol command
+   * @param {Object} params
+   * @returns {Promise<Object>} the result of the command
+   * @private
+   */
+  _sendDevToolsCommand (window, method, params) {
+    const devTools = window.webContents.debugger
+    const attached = devTools.isAttached()
+    if (!attached) {
+      devTools.attach(DEVTOOLS_PROTOCOL_VERSION)
+    }
+    return devTools.sendCommand(method, params)
+      .finally(() => !attached && devTools.detach())
+  }
+
+  /**
+   * The metadata args, which take precedence over the metadata of the page
+   * when the metadataFromPage arg is set.
+   *
+   * @param args
+   * @param window
+   * @returns {Promise<Object>} see PdfBinder.setMetadata
+   * @private
+   */
+  _getMetadata (args, window) {
+    const metadata = _.omitBy(_.pick(args, PdfBinder.METADATA_FIELDS), _.isNil)
+    if (!args.metadataFromPage) {
+      return Promise.resolve(metadata)
+    }
+    return window.webContents.executeJavaScript(PAGE_METADATA_SCRIPT)
+      .then(page => _.extend(_.omitBy(page, _.isEmpty), metadata))
+  }
+
+  /**
+   * When the outline arg is set, an outline item is created for each heading of
+   * the page.  The page a heading is printed on is estimated from its position
+   * in the window, so content that breaks pages early (e.g. with the CSS
+   * `break-before` property) can move headings beyond the page they link to.
+   *
+   * @param args
+   * @param window
+   * @returns {Promise<Array<Object>>} see PdfBinder.addOutline
+   * @private
+   */
+  _getOutline (args, window) {
+    if (!args.outline) {
+      return Promise.resolve([])
+    }
+    return window.webContents.executeJavaScript(HEADINGS_SCRIPT).then(headings => {
+      const locate = this._getPageLocator(args)
+      return headings.map(({ level, title, top }) => _.extend({ title, level }, locate(top)))
+    })
+  }
+
+  /**
+   * The page content is printed on is estimated from its position in the
+   * window, see _getOutline
+   *
+   * @param args
+   * @returns {Function} maps the offset from the top of the page (in CSS
+   *   pixels) to the {pageIndex, top} it is printed at, top is in inches
+   * @private
+   */
+  _getPageLocator (args) {
+    const paper = WindowTailor.getPaperSize(args.pageSize)
+    const margins = this._getPrintMargins(args)
+    const scale = Number(args.scale) || 1
+    const paperHeight = args.landscape ? paper.width : paper.height
+    // The CSS pixels of content printed on each page
+    const contentHeight = (paperHeight - margins.top - margins.bottom) * WindowTailor.HTML_DPI / scale
+    return top => ({
+      pageIndex: Math.floor(top / contentHeight),
+      top: margins.top + (top % contentHeight) * scale / WindowTailor.HTML_DPI
+    })
+  }
+
+  /**
+   * When the toc arg is set, the table of contents is inserted at the start of
+   * the page, unless it has one (e.g. markdown, see lib/markdown).  The page
+   * numbers are estimated like the pages of the outline, from the positions of
+   * the headings once the table of contents is in place.
+   *
+   * The export goes on without the table of contents when it can't be added.
+   *
+   * @param args
+   * @param window
+   * @returns {Promise}
+   * @private
+   */
+  _addToc (args, window) {
+    const toc = TocBuilder.getToc(args)
+    if (!toc) {
+      return Promise.resolve()
+    }
+    return window.webContents.executeJavaScript(TocBuilder.getInsertScript(toc))
+      .then(tops => {
+        if (!toc.pageNumbers) {
+          return
+        }
+        const locate = this._getPageLocator(args)
+        const pages = tops.map(top => _.isNil(top) ? '' : locate(top).pageIndex + 1)
+        return window.webContents.executeJavaScript(TocBuilder.getPageNumbersScript(pages))
+      })
+      .catch(err => this.error('unable to add the table of contents:', err))
+  }
+
   /**
    * The callback function for when printToPDF is complete
    * @param err
    * @param data
+   * @param {Object} [info] written to the PDF before it is saved or emitted
+   * @param {Object} [info.metadata] see PdfBinder.setMetadata
+   * @param {Array} [info.outline] see PdfBinder.addOutline
+   * @param {Object} [info.security] see PdfBinder.encrypt
    * @private
    */
-  _handlePDF (outputFile, done, err, data) {
-    this._triggerProcessStats('window.capture.end').then(() => {
-      if (this.options.inMemory || err) {
-        this._emitResourceEvents(err, data, done)
-      } else {
-        const target = path.resolve(outputFile)
-        fs.writeFile(target, data, (fileWriteErr) => {
-          // REMOVE in 2.0 - keeping for backwards compatibility
-          this.emit('pdf-complete', { file: target, error: fileWriteErr })
-          this._emitResourceEvents(fileWriteErr, target, done)
-        })
-      }
-    })
+  _handlePDF (outputFile, done, err, data, info) {
+    this._triggerProcessStats('window.capture.end')
+      .then(() => err ? data : this._completePDF(data, info))
+      .then(pdf => {
+        // When merging, each PDF is kept in memory until they are all captured
+        if (this.options.inMemory || this._isMerging() || err) {
+          this._emitResourceEvents(err, pdf, done)
+        } else {
+          const target = path.resolve(outputFile)
+          fs.writeFile(target, pdf, (fileWriteErr) => {
+            // REMOVE in 2.0 - keeping for backwards compatibility
+            this.emit('pdf-complete', { file: target, error: fileWriteErr })
+            this._emitResourceEvents(fileWriteErr, target, done)
+          })
+        }
+      }, pdfErr => this._emitResourceEvents(pdfErr, data, done))
+  }
+
+  /**
+   * @param {Buffer} data the PDF printed by Chromium
+   * @param {Object} [info] see _handlePDF
+   * @returns {Promise<Buffer>} the PDF that is delivered
+   * @private
+   */
+  _completePDF (data, info) {
+    const { metadata, outline, security } = info || {}
+    let pdf = Promise.resolve(data)
+    if (!_.isEmpty(metadata)) {
+      pdf = pdf.then(buffer => PdfBinder.setMetadata(buffer, metadata))
+    }
+    if (!_.isEmpty(outline)) {
+      pdf = pdf.then(buffer => PdfBinder.addOutline(buffer, outline))
+    }
+    // Merged PDFs are encrypted once they have been merged
+    if (security && !this._isMerging()) {
+      pdf = pdf.then(buffer => PdfBinder.encrypt(buffer, security))
+    }
+    return pdf
+  }
+
+  /**
+   * @param args
+   * @returns {Object} the userPassword, ownerPassword and permissions args, or
+   *   undefined when the PDF is not encrypted
+   * @private
+   */
+  _getSecurity (args) {
+    const security = _.omitBy(_.pick(args, ['userPassword', 'ownerPassword', 'permissions']), _.isNil)
+    return _.isEmpty(security) ? undefined : security
   }
 
   /**
@@ -840,6 +1907,7 @@ class ExportJob extends EventEmitter {
 
   /**
    * @param {Number} context.inputIndex Index of the input being processed
+   * @param {String} [context.type] One of OUTPUT_TYPES, replaces the extension of the output
    * @returns {String} the pdf output file name that should be used.
    * @private
    */
@@ -847,7 +1915,7 @@ class ExportJob extends EventEmitter {
     const zeroBasedIndex = context.inputIndex
     const ext = path.extname(this.output)
     const extIndex = this.output.lastIndexOf(ext)
-    const actualExt = context.type === 'png' ? '.png' : ext
+    const actualExt = _.includes(OUTPUT_TYPES, context.type) ? `.${context.type}` : ext
     if (_.size(this.input) > 1) {
       let suffix = `_${zeroBasedIndex + 1}`
       if (this.options.fileSuffixFn) {
@@ -3,6 +3,9 @@
 const EventEmitter = require('eventemitter2').EventEmitter2
 const os = require('os')
 
+const _ = require('lodash')
+const uuid = require('uuid')
+
 const electron = require('electron')
 const minimist = require('minimist')
 
@@ -10,8 +13,9 @@ const argOptions = require('./options')
 const setLogger = require('./logger').set
 
 const ExportJob = require('./exportJob')
+const JobQueue = require('./jobQueue')
+const WindowPool = require('./windowPool')
 const Source = require('./source')
-const source = new Source()
 
 let electronApp
 
@@ -28,12 +32,49 @@ class PDFExporter extends EventEmitter {
    * @param {boolean} [opts.resilient=false] set to true to catch and
    * log all uncaught exception but leave things running
    * @param {object} [opts.loggers] Allows client to use its own logging implementation
+   * @param {Number} [opts.maxConcurrentJobs=Infinity] The maximum number of jobs
+   * (and therefore browser windows) rendering at the same time, any other job
+   * waits in a queue until one finishes
+   * @param {Number} [opts.maxQueueSize=Infinity] The maximum number of jobs that may
+   * wait in the queue, createJob will reject once this is reached
+   * @param {Number} [opts.reservationTimeout=60000] How long (in ms) a job that
+   * is created but not rendered (or destroyed) counts as waiting in the queue
+   * @param {Number} [opts.windowPoolSize=0] The number of browser windows to
+   * create up front and reuse across jobs, 0 disables the pool
+   * @param {Number} [opts.windowMaxUses=100] The number of jobs a pooled window is
+   * used for before it is replaced
+   * @param {Number} [opts.windowMaxMemory] The renderer process memory (MB) at
+   * which a pooled window is replaced when it is released
+   *
+   * @fires PDFExporter#queue.job.enqueued
+   * @fires PDFExporter#queue.job.started
+   * @fires PDFExporter#queue.job.finished
+   * @fires PDFExporter#queue.job.rejected
+   * @fires PDFExporter#queue.job.error
+   * @fires PDFExporter#pool.window.created
+   * @fires PDFExporter#pool.window.closed
    */
   constructor (opts) {
     super()
     this.options = opts || {}
     this.reslientMode = this.options.resilient || false
     setLogger(this.options.loggers, this)
+
+    // The transformers of inputs are registered with each exporter, see registerTransformer
+    this.source = new Source()
+
+    this.queue = new JobQueue(_.pick(this.options, ['maxConcurrentJobs', 'maxQueueSize', 'reservationTimeout']))
+    // Pass queue events through so clients can monitor depth and wait times
+    this.queue.onAny((event, value) => this.emit(event, value))
+
+    if (this.options.windowPoolSize > 0) {
+      const pageSize = argOptions.default.pageSize
+      this.windowPool = new WindowPool(_.extend({ pageSize }, this.options), () => {
+        const config = ExportJob.defaultBrowserConfiguration({ pageSize, partition: uuid() })
+        return new electron.BrowserWindow(config)
+      })
+      this.windowPool.onAny((event, value) => this.emit(event, value))
+    }
   }
 
   /**
@@ -49,6 +90,7 @@ class PDFExporter extends EventEmitter {
 
     electronApp.once('ready', () => {
       this.isReady = true
+      this.windowPool && this.windowPool.fill()
 
       /**
        * emitted when the application is ready to process exports
@@ -112,11 +154,36 @@ class PDFExporter extends EventEmitter {
     this.info(`Assigned renderer process js-flags=${jsFlags}`)
   }
 
-  stop () {
+  /**
+   * @param {Number} [exitCode=0] The exit code of the process once the app
+   *   has quit
+   */
+  stop (exitCode) {
     this.info('Shutting down...')
+    this.windowPool && this.windowPool.destroy()
+    if (exitCode) {
+      // The windows are closed before the app quits, exit only changes the code
+      electronApp.once('quit', () => electronApp.exit(exitCode))
+    }
     electronApp.quit()
   }
 
+  /**
+   * Registers a transformer of inputs, so formats other than HTML, Markdown
+   * and templates (e.g. AsciiDoc) can be exported.  The transformer returns
+   * the path or URL of what is loaded in place of the input:
+   *
+   *   exporter.registerTransformer('.adoc', input => asciidocToHtmlFile(input))
+   *
+   * @param {String|Array<String>|Function} match The file extensions of the
+   *   inputs or a predicate of the input and args, see Source.register
+   * @param {Function} transform see Source.register
+   * @throws {Error} if the match or transform is not valid
+   */
+  registerTransformer (match, transform) {
+    this.source.register(match, transform)
+  }
+
   /**
    * Load one or more HTML pages inside of a new window which is closed
    * as soon as the PDFs are rendered.
@@ -126,7 +193,13 @@ class PDFExporter extends EventEmitter {
    * @param args {array|Object} command line args - Can be an array of any
    *   supported args, or an object that is the result of running minimist.
    * @param options {Object} export args - see ExportJob for list of options.
-   * These are options only supported by the API and not by the CLI
+   * These are options only supported by the API and not by the CLI, along
+   * with options.data: the data template inputs are rendered with (see
+   * Source.resolve)
+   *
+   * @returns {Promise<ExportJob>} rejected with an Error whose code is
+   *   `QUEUE_FULL` when opts.maxQueueSize jobs are already waiting, which
+   *   includes the jobs created but not rendered (or destroyed) yet
    */
   createJob (input, output, args, options) {
     if (!this.isReady) {
@@ -134,14 +207,35 @@ class PDFExporter extends EventEmitter {
       throw msg
     }
 
+    if (this.queue.isFull()) {
+      this.queue.reject()
+      const err = new Error(`The export queue is full (maxQueueSize: ${this.queue.maxQueueSize})`)
+      err.code = 'QUEUE_FULL'
+      return Promise.reject(err)
+    }
+
     // charge.js interprets the args, but this method should also support raw args
     if (args instanceof Array) {
       args = minimist(args, argOptions)
     }
 
+    // Held until the job is rendered (queued) or destroyed
+    const reservation = this.queue.reserve()
     return new Promise((resolve, reject) => {
-      source.resolve(input, args).then(sources => {
-        resolve(new ExportJob(sources, output, args, options))
+      this.source.resolveInputs(input, args, _.pick(options, 'data')).then(inputs => {
+        // The args of markdown front matter apply to their input only
+        const inputArgs = _.map(inputs, 'args')
+        // Only the inputs passed as files have their files embedded, not what they are transformed into
+        const fileResources = _.castArray(input).map(ExportJob.isFile)
+        const jobOptions = _.extend({ fileResources }, _.some(inputArgs) ? { inputArgs } : {}, options)
+        const job = new ExportJob(_.map(inputs, 'source'), output, args, jobOptions)
+        job.queue = this.queue
+        job.queueReservation = reservation
+        job.windowPool = this.windowPool
+        resolve(job)
+      }).catch(err => {
+        reservation()
+        reject(err)
       })
     })
   }
@@ -0,0 +1,195 @@
+'use strict'
+
+// Third Party Modules
+const _ = require('lodash')
+const EventEmitter = require('eventemitter2').EventEmitter2
+
+/** How long (in ms) a place is reserved for a job that is created but not rendered */
+const DEFAULT_RESERVATION_TIMEOUT = 60 * 1000
+
+/**
+ * Limits how many export jobs render at the same time.  Every job that is
+ * rendering has its own BrowserWindow, so this is effectively a limit on the
+ * number of open windows.
+ *
+ * Jobs waiting for a free slot are started by priority (highest first) and
+ * then in the order they were queued.
+ */
+class JobQueue extends EventEmitter {
+  /**
+   * @param {Object} [opts]
+   * @param {Number} [opts.maxConcurrentJobs=Infinity] How many jobs may render at once
+   * @param {Number} [opts.maxQueueSize=Infinity] How many jobs may wait for a free slot
+   *   before new jobs are rejected
+   * @param {Number} [opts.reservationTimeout=60000] How long (in ms) a place is
+   *   reserved for a job that is not rendered or destroyed, see reserve
+   */
+  constructor (opts) {
+    super()
+    const { maxConcurrentJobs = Infinity, maxQueueSize = Infinity, reservationTimeout = DEFAULT_RESERVATION_TIMEOUT } = opts || {}
+    this.maxConcurrentJobs = maxConcurrentJobs
+    this.maxQueueSize = maxQueueSize
+    this.reservationTimeout = reservationTimeout
+    this.pending = []
+    this.active = 0
+    // Jobs being created that are not queued yet, see reserve
+    this.reserved = 0
+  }
+
+  /**
+   * @returns {boolean} true if no more jobs can be queued, counting the jobs
+   *   that are reserved but not queued yet which the free slots can't start
+   */
+  isFull () {
+    const free = Math.max(0, this.maxConcurrentJobs - this.active)
+    return this.depth() + this.reserved >= this.maxQueueSize + free
+  }
+
+  /**
+   * Holds a place for a job while it is created, so the jobs created at the
+   * same time can't all pass isFull before any of them is queued.
+   *
+   * The place is released after the reservationTimeout, so a job that is
+   * created and dropped by the caller doesn't hold it forever.
+   *
+   * @returns {Function} releases the place, invoke it when the job is queued
+   *   or will not be
+   */
+  reserve () {
+    this.reserved++
+    const release = _.once(() => {
+      clearTimeout(timeout)
+      this.reserved--
+    })
+    const timeout = _.isFinite(this.reservationTimeout) && setTimeout(release, this.reservationTimeout)
+    // A pending reservation doesn't keep the process running
+    timeout && timeout.unref && timeout.unref()
+    return release
+  }
+
+  /**
+   * @returns {Number} the number of jobs waiting for a free slot
+   */
+  depth () {
+    return this.pending.length
+  }
+
+  /**
+   * Records a rejected job, use this when isFull() prevents a job from being
+   * queued.
+   *
+   * @fires JobQueue#queue.job.rejected
+   */
+  reject () {
+    /**
+     * fires when a job could not be queued because the queue is full
+     * @event JobQueue#queue.job.rejected
+     * @type {object}
+     * @property {Number} depth - The number of jobs waiting
+     * @property {Number} active - The number of jobs rendering
+     */
+    this.emit('queue.job.rejected', this._stats())
+  }
+
+  /**
+   * Queues a job and starts it as soon as a slot is available.  The slot is
+   * released when the job completes or its window is terminated.  A job that
+   * keeps its window (the closeWindow option is false) holds the slot until
+   * the window is closed, see ExportJob.destroy.
+   *
+   * @param {ExportJob} job
+   * @param {Function} startFn invoked when the job may start rendering
+   *
+   * @fires JobQueue#queue.job.enqueued
+   */
+  enqueue (job, startFn) {
+    const priority = _.get(job, 'options.priority', 0)
+    const entry = { job, startFn, priority, queuedAt: Date.now() }
+    // Insert after any job with an equal or higher priority
+    const index = _.findIndex(this.pending, e => e.priority < priority)
+    this.pending.splice(index === -1 ? this.pending.length : index, 0, entry)
+
+    /**
+     * fires when a job is waiting for a slot
+     * @event JobQueue#queue.job.enqueued
+     * @type {object}
+     * @property {String} jobId
+     * @property {Number} priority
+     * @property {Number} depth - The number of jobs waiting
+     * @property {Number} active - The number of jobs rendering
+     */
+    this.emit('queue.job.enqueued', this._stats(entry))
+    this._drain()
+  }
+
+  _drain () {
+    while (this.active < this.maxConcurrentJobs && this.pending.length) {
+      this._start(this.pending.shift())
+    }
+  }
+
+  /**
+   * @fires JobQueue#queue.job.started
+   * @fires JobQueue#queue.job.finished
+   * @fires JobQueue#queue.job.error
+   * @private
+   */
+  _start (entry) {
+    const { job, startFn } = entry
+    const startedAt = Date.now()
+    this.active++
+
+    const release = _.once(() => {
+      this.active--
+      /**
+       * fires when a job has released its slot
+       * @event JobQueue#queue.job.finished
+       * @type {object}
+       * @property {String} jobId
+       * @property {Number} renderTime - How long the job held its slot, in milliseconds
+       */
+      this.emit('queue.job.finished', _.extend(this._stats(entry), {
+        renderTime: Date.now() - startedAt
+      }))
+      this._drain()
+    })
+    const keepsWindow = _.get(job, 'options.closeWindow') === false
+    job.once('job.render.complete', () => (keepsWindow && job.window) || release())
+    job.once('job.render.window.close', release)
+    job.once('window.termination', release)
+
+    /**
+     * fires when a job leaves the queue and starts rendering
+     * @event JobQueue#queue.job.started
+     * @type {object}
+     * @property {String} jobId
+     * @property {Number} waitTime - How long the job was queued, in milliseconds
+     */
+    this.emit('queue.job.started', _.extend(this._stats(entry), {
+      waitTime: startedAt - entry.queuedAt
+    }))
+
+    // This can be invoked while another job is releasing its slot, so an
+    // error must not escape into that job's event handlers
+    try {
+      startFn()
+    } catch (error) {
+      /**
+       * fires when a job failed to start rendering
+       * @event JobQueue#queue.job.error
+       * @type {object}
+       * @property {String} jobId
+       * @property {Error} error
+       */
+      this.emit('queue.job.error', _.extend(this._stats(entry), { error }))
+      release()
+    }
+  }
+
+  _stats (entry) {
+    const stats = { depth: this.depth(), active: this.active }
+    return entry ? _.extend({ jobId: entry.job.jobId, priority: entry.priority }, stats) : stats
+  }
+}
+
+module.exports = JobQueue
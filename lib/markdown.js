@@ -1,16 +1,119 @@
-const marked = require('marked')
+const { marked } = require('marked')
 const fs = require('fs')
+const http = require('http')
+const https = require('https')
 const os = require('os')
 const path = require('path')
+const url = require('url')
 const uuid = require('uuid')
 const highlightjs = require('highlight.js')
+const katex = require('katex')
+const yaml = require('js-yaml')
+const sanitizeHtml = require('sanitize-html')
 const logger = require('./logger')
+const MarkdownExtensions = require('./markdownExtensions')
+const TocBuilder = require('./tocBuilder')
+
+marked.use({ extensions: MarkdownExtensions.extensions })
+
+/** The most redirects followed when reading markdown from a URL */
+const MAX_REDIRECTS = 5
+
+/** Matches YAML front matter, which JSON front matter is as well */
+const FRONT_MATTER = /^\uFEFF?---[ \t]*\r?\n(?:([^]*?)\r?\n)?(?:---|\.\.\.)[ \t]*(?:\r?\n|$)/
+
+/**
+ * Matches the math of markdown: $$display$$ and $inline$ math, where the
+ * dollar signs of inline math can't be next to whitespace so prices are not
+ * mistaken for math.  Code and escaped dollar signs are matched so they are
+ * left alone.
+ *
+ * Groups: 1 code, 4 display math, 5 inline math
+ */
+const MATH = /(^ {0,3}(`{3,}|~{3,})(?:[^]*?^ {0,3}\2|[^]*)|(`+)[^`][^]*?\3)|\\\$|\$\$([^]+?)\$\$|\$(?!\s)((?:\\.|[^\\$\n`])+?)(?<!\s)\$(?!\d)/gm
+
+/**
+ * The sanitize-html options of the strict policy: the markup of markdown,
+ * without scripts, styles, event handlers or embedded content
+ */
+const STRICT_POLICY = {
+  allowedTags: sanitizeHtml.defaults.allowedTags.concat([
+    'del', 'details', 'img', 'input', 'ins', 'kbd', 'picture', 'section', 'source', 'summary', 'sup', 'sub'
+  ]),
+  allowedAttributes: {
+    '*': ['align', 'class', 'dir', 'id', 'lang', 'title'],
+    'a': ['href', 'name'],
+    'img': ['src', 'srcset', 'alt', 'width', 'height'],
+    'input': ['type', 'checked', 'disabled'],
+    'ol': ['start'],
+    'source': ['srcset', 'media', 'type'],
+    'td': ['colspan', 'rowspan'],
+    'th': ['colspan', 'rowspan']
+  },
+  allowedSchemes: ['http', 'https', 'mailto', 'file'],
+  allowedSchemesByTag: { img: ['http', 'https', 'file', 'data'] },
+  // Task list checkboxes are the only inputs
+  exclusiveFilter: frame => frame.tag === 'input' && frame.attribs.type !== 'checkbox'
+}
+
+/**
+ * The built in themes: the stylesheets (modules resolved from this package),
+ * the highlight.js style used unless the highlightTheme option is set and the
+ * mermaid theme of diagrams
+ */
+const THEMES = {
+  'github': {
+    stylesheets: ['github-markdown-css/github-markdown.css', './themes/markdown.css'],
+    highlightTheme: 'github',
+    mermaidTheme: 'default'
+  },
+  'github-dark': {
+    stylesheets: ['github-markdown-css/github-markdown.css', './themes/markdown.css', './themes/github-dark.css'],
+    highlightTheme: 'atom-one-dark',
+    mermaidTheme: 'dark'
+  },
+  'print': {
+    stylesheets: ['github-markdown-css/github-markdown.css', './themes/markdown.css', './themes/print.css'],
+    highlightTheme: 'github',
+    mermaidTheme: 'neutral'
+  }
+}
 
 /**
  * parse the markdown content and write it to system tmp directory
- * @param  {String} input Path of the markdown file
+ *
+ * The HTML is not next to the markdown, so relative links and images are
+ * resolved against the markdown file (or URL) it was read from.
+ *
+ * Math is rendered with KaTeX while converting.  Fenced mermaid diagrams are
+ * rendered by a script once the HTML loads, which then dispatches the ready
+ * event (see --waitForJSEvent) until it is acknowledged.  The scripts and
+ * stylesheets are loaded from this package so no network is needed.
+ *
+ * Besides GitHub flavored markdown (tables, task lists, heading ids), the
+ * syntax of lib/markdownExtensions is supported: footnotes, emoji shortcodes
+ * and alerts.  The HTML is sanitized by the sanitize policy, the HTML of the
+ * markdown itself (e.g. code highlighting) is allowed by the strict policy.
+ *
+ * @param  {String} input Path or URL (http, https or file) of the markdown file
  * @param  {Object} options Markdown parser options
- * @return {Function}         The callback function with HTML path
+ * @param  {String} [options.markdownTheme='github'] One of THEMES
+ * @param  {String} [options.highlightTheme] The name of a highlight.js style,
+ *   see highlight.js/styles
+ * @param  {Array<String>} [options.customCss] Paths of stylesheets applied
+ *   after the theme
+ * @param  {String} [options.waitForJSEvent] The ready event dispatched once
+ *   diagrams are rendered, 'view-ready' by default
+ * @param  {String|Object|Function} [options.sanitize='strict'] 'strict'
+ *   allows the markup of markdown, 'off' allows any HTML (trusted content only),
+ *   sanitize-html options (or the path of a JSON file of them) replace the
+ *   fields of the strict policy, or a function that sanitizes the HTML
+ * @param  {Boolean} [options.emoji=true] Whether :shortcodes: are emoji
+ * @param  {Object} [options.toc] The table of contents inserted at the start
+ *   of the document, see TocBuilder.getToc
+ * @return {Function}         The callback function with HTML path and the
+ *   document: {diagrams: Boolean} whether the ready event is dispatched and
+ *   {frontMatter: Object} the front matter of the markdown (see readFrontMatter)
  */
 module.exports = function (input, options, cb) {
   if (options instanceof Function) {
@@ -18,54 +121,456 @@ module.exports = function (input, options, cb) {
     options = {}
   }
 
-  marked.setOptions({
-    renderer: options.renderer || new marked.Renderer(),
-    gfm: options.gfm || true,
-    tables: options.tables || true,
-    breaks: options.breaks || false,
-    pedantic: options.pedantic || false,
-    sanitize: options.sanitize || true,
-    smartLists: options.smartLists || true,
-    smartypants: options.smartypants || false,
+  var sanitize
+  try {
+    getStylesheets(options)
+    sanitize = getSanitizer(options)
+  } catch (err) {
+    return cb(err)
+  }
+
+  readMarkdown(input, function (err, markdownContent, baseUrl) {
+    if (err) {
+      return cb(err)
+    }
+    var doc = readFrontMatter(markdownContent.toString(), input)
+    var documentOptions = withFrontMatter(options, doc.frontMatter, baseUrl)
+    var stylesheets
+    try {
+      stylesheets = getStylesheets(documentOptions)
+    } catch (err) {
+      return cb(err)
+    }
+    convert(input, doc, baseUrl, stylesheets, sanitize, documentOptions, cb)
+  })
+}
+
+function convert (input, doc, baseUrl, stylesheets, sanitize, options, cb) {
+  var diagrams = []
+  var headings = []
+  var footnotes = MarkdownExtensions.createFootnotes()
+  var renderer = headingRenderer(resolvingRenderer(options.renderer || new marked.Renderer(), baseUrl), headings)
+  var markedOptions = {
+    renderer: syntaxRenderer(diagramRenderer(renderer, diagrams)),
+    gfm: options.gfm !== false,
+    breaks: options.breaks === true,
+    pedantic: options.pedantic === true,
+    smartypants: options.smartypants === true,
+    headerIds: options.headerIds !== false,
+    emoji: options.emoji !== false,
+    footnotes: footnotes,
     highlight: function (code, lang) {
       return highlightjs.highlightAuto(code, [ lang ]).value
     }
-  })
+  }
+
+  var math = []
+  var markdownHtml = marked.parse(extractMath(doc.markdown, math), markedOptions)
+  var htmlBody = renderMath(sanitize(markdownHtml + MarkdownExtensions.renderFootnotes(footnotes), baseUrl), math)
+  if (options.toc) {
+    // Rendered after sanitizing, the policy may not allow its markup
+    htmlBody = TocBuilder.renderToc(headings.map(heading => Object.assign({}, heading, {
+      text: headingText(heading.html, math)
+    })), options.toc) + htmlBody
+  }
+
+  var htmlHeader = '<meta charset="utf-8">'
+  if (doc.frontMatter.title) {
+    htmlHeader += '<title>' + escapeHtml(String(doc.frontMatter.title)) + '</title>'
+  }
+  if (math.length) {
+    stylesheets = [require.resolve('katex/dist/katex.min.css')].concat(stylesheets)
+  }
+  stylesheets.forEach(file => (htmlHeader += '<link rel="stylesheet" href="' + url.pathToFileURL(file).href + '">'))
+
+  // inject custom css if exist
+  // todo: validate css
+  options.customCss.forEach(_ => (htmlHeader += '<link rel="stylesheet" href="' + (isUrl(_) ? _ : path.resolve(_)) + '">'))
+
+  htmlHeader += '<style> .markdown-body { min-width: 200px; max-width: 790px; margin: 0 auto; padding: 30px; } </style>' +
+    '<body><article class="markdown-body">\n'
+
+  var htmlFooter = '\n </article>' + getDiagramScript(diagrams, options) + '</body>'
+
+  var htmlContent = htmlHeader + htmlBody + htmlFooter
+
+  var name = path.parse(isUrl(input) ? url.parse(input).pathname : input).name
+  var tmpHTMLPath = path.join(os.tmpdir(), name + '-' + uuid() + '.html')
 
-  fs.readFile(input, function (err, markdownContent) {
+  fs.writeFile(tmpHTMLPath, htmlContent, function (err) {
     if (err) {
-      cb(err)
+      return cb(err)
     }
+    logger('Converted markdown to html:', input, '->', tmpHTMLPath)
+    cb(null, tmpHTMLPath, { diagrams: diagrams.length > 0, frontMatter: doc.frontMatter })
+  })
+}
 
-    var htmlBody = marked(markdownContent.toString())
-    var githubMarkdownCssPath = 'node_modules/github-markdown-css/github-markdown.css'
-    var highlightjsDefaultCssPath = 'node_modules/highlight.js/styles/default.css'
-    var highlightjsGithubCssPath = 'node_modules/highlight.js/styles/github.css'
+/**
+ * Separates the front matter from the markdown.  Front matter that is not an
+ * object (e.g. a thematic break, text and a setext heading) is not front
+ * matter, it is left in the markdown.
+ *
+ * @param {String} markdown
+ * @param {String} input see module.exports, for logging
+ * @returns {{markdown: String, frontMatter: Object}}
+ */
+function readFrontMatter (markdown, input) {
+  var match = FRONT_MATTER.exec(markdown)
+  var frontMatter
+  try {
+    frontMatter = match && yaml.load(match[1] || '{}', { schema: yaml.CORE_SCHEMA })
+  } catch (e) {
+    logger('Ignoring the front matter of', input, e.message)
+  }
+  if (!frontMatter || typeof frontMatter !== 'object' || Array.isArray(frontMatter)) {
+    return { markdown: markdown, frontMatter: {} }
+  }
+  return { markdown: markdown.slice(match[0].length), frontMatter: frontMatter }
+}
 
-    var htmlHeader = '<meta charset="utf-8">' +
-      '<link rel="stylesheet" href="' + path.resolve(githubMarkdownCssPath) + '">' +
-      '<link rel="stylesheet" href="' + path.resolve(highlightjsDefaultCssPath) + '">' +
-      '<link rel="stylesheet" href="' + path.resolve(highlightjsGithubCssPath) + '">'
+/**
+ * The front matter can set the css, markdownTheme and highlightTheme of
+ * the conversion, unless they are set by the options.  The css is relative
+ * to the markdown, markdown that is not a file can only have http(s) css.
+ *
+ * @param {Object} options see module.exports
+ * @param {Object} frontMatter see readFrontMatter
+ * @param {String} baseUrl
+ * @returns {Object} the options of the document
+ */
+function withFrontMatter (options, frontMatter, baseUrl) {
+  var documentOptions = Object.assign({ customCss: [] }, options)
+  if (!documentOptions.customCss.length && frontMatter.css) {
+    documentOptions.customCss = [].concat(frontMatter.css)
+      .map(css => resolveUrl(String(css), baseUrl))
+      .filter(css => isFileUrl(baseUrl) || /^https?:\/\//i.test(css))
+  }
+  documentOptions.markdownTheme = options.markdownTheme || frontMatter.markdownTheme
+  documentOptions.highlightTheme = options.highlightTheme || frontMatter.highlightTheme
+  return documentOptions
+}
 
-    // inject custom css if exist
-    // todo: validate css
-    options.customCss.forEach(_ => (htmlHeader += '<link rel="stylesheet" href="' + path.resolve(_) + '">'))
+/**
+ * The stylesheets are resolved from this package rather than the working
+ * directory, which is not the package when it is installed globally or as a
+ * dependency.
+ *
+ * @param {Object} options see module.exports
+ * @returns {Array<String>} the paths of the theme and highlight.js stylesheets
+ * @throws {Error} if the theme or highlight.js style doesn't exist
+ */
+function getStylesheets (options) {
+  var theme = getTheme(options)
+  var highlightTheme = options.highlightTheme || theme.highlightTheme
+  var highlightCss
+  try {
+    if (!/^[\w.-]+$/.test(highlightTheme)) {
+      throw new Error('not a style name')
+    }
+    highlightCss = require.resolve('highlight.js/styles/' + highlightTheme + '.css')
+  } catch (e) {
+    throw new Error('Invalid highlightTheme \'' + highlightTheme + '\', expected the name of a highlight.js style (e.g. github, monokai)')
+  }
+  return theme.stylesheets.map(stylesheet => require.resolve(stylesheet)).concat(highlightCss)
+}
 
-    htmlHeader += '<style> .markdown-body { min-width: 200px; max-width: 790px; margin: 0 auto; padding: 30px; } </style>' +
-      '<body><article class="markdown-body">\n'
+/**
+ * The file scheme of the policy is only allowed for markdown that is a file,
+ * so markdown from a URL can't refer to the files of this machine.
+ *
+ * @param {Object} options see module.exports
+ * @returns {Function} sanitizes HTML by the sanitize policy, invoked with the
+ *   HTML and the URL of the markdown
+ * @throws {Error} if the policy is not valid
+ */
+function getSanitizer (options) {
+  var policy = options.sanitize
+  if (policy === 'off' || policy === false) {
+    return html => html
+  }
+  if (policy instanceof Function) {
+    return policy
+  }
+  if (typeof policy === 'string' && policy !== 'strict') {
+    try {
+      policy = JSON.parse(fs.readFileSync(policy, 'utf8'))
+    } catch (e) {
+      throw new Error('Invalid markdownSanitize \'' + policy + '\', expected strict, off or the path of a JSON file of sanitize-html options: ' + e.message)
+    }
+  }
+  var sanitizeOptions = Object.assign({}, STRICT_POLICY, typeof policy === 'object' ? policy : {})
+  var remoteOptions = withoutFileScheme(sanitizeOptions)
+  return (html, baseUrl) => sanitizeHtml(html, isFileUrl(baseUrl) ? sanitizeOptions : remoteOptions)
+}
 
-    var htmlFooter = '\n </article></body>'
+/**
+ * @param {Object} sanitizeOptions sanitize-html options
+ * @returns {Object} the options without the file scheme
+ */
+function withoutFileScheme (sanitizeOptions) {
+  var withoutFile = schemes => Array.isArray(schemes) ? schemes.filter(scheme => scheme !== 'file') : schemes
+  var schemesByTag = {}
+  Object.keys(sanitizeOptions.allowedSchemesByTag || {}).forEach(tag => {
+    schemesByTag[tag] = withoutFile(sanitizeOptions.allowedSchemesByTag[tag])
+  })
+  return Object.assign({}, sanitizeOptions, {
+    allowedSchemes: withoutFile(sanitizeOptions.allowedSchemes || sanitizeHtml.defaults.allowedSchemes),
+    allowedSchemesByTag: schemesByTag
+  })
+}
+
+/**
+ * @param {Object} options see module.exports
+ * @returns {Object} one of THEMES
+ * @throws {Error} if the theme doesn't exist
+ */
+function getTheme (options) {
+  var themeName = options.markdownTheme || 'github'
+  if (!THEMES[themeName]) {
+    throw new Error('Invalid markdownTheme \'' + themeName + '\', expected one of: ' + Object.keys(THEMES).join(', '))
+  }
+  return THEMES[themeName]
+}
 
-    var htmlContent = htmlHeader + htmlBody + htmlFooter
+function isUrl (input) {
+  return /^(https?|file):\/\//i.test(input)
+}
 
-    var tmpHTMLPath = path.join(os.tmpdir(), path.parse(input).name + '-' + uuid() + '.html')
+function isFileUrl (input) {
+  return /^file:/i.test(input)
+}
 
-    fs.writeFile(tmpHTMLPath, htmlContent, function (err) {
-      if (err) {
-        cb(err)
+/**
+ * Reads the markdown from a file or URL
+ *
+ * @param {String} input
+ * @param {Function} cb invoked with the markdown and the URL that relative
+ *   references are resolved against
+ * @param {Number} [redirects=0] the number of redirects already followed
+ */
+function readMarkdown (input, cb, redirects) {
+  if (!/^https?:/i.test(input)) {
+    var file = isUrl(input) ? url.fileURLToPath(input) : path.resolve(input)
+    return fs.readFile(file, function (err, markdownContent) {
+      cb(err, markdownContent, url.pathToFileURL(file).href)
+    })
+  }
+
+  var client = /^https:/i.test(input) ? https : http
+  client.get(input, function (res) {
+    var location = res.headers.location
+    if (res.statusCode >= 300 && res.statusCode < 400 && location) {
+      res.resume()
+      if ((redirects || 0) >= MAX_REDIRECTS) {
+        return cb(new Error('Too many redirects reading markdown from ' + input))
       }
-      logger('Converted markdown to html:', input, '->', tmpHTMLPath)
-      cb(null, tmpHTMLPath)
+      return readMarkdown(new url.URL(location, input).href, cb, (redirects || 0) + 1)
+    }
+    if (res.statusCode >= 400) {
+      res.resume()
+      return cb(new Error('Unable to read markdown from ' + input + ', status: ' + res.statusCode))
+    }
+    var chunks = []
+    res.on('data', function (chunk) { chunks.push(chunk) })
+    res.on('end', function () { cb(null, Buffer.concat(chunks), input) })
+    res.on('error', cb)
+  }).on('error', cb)
+}
+
+/**
+ * Resolves the relative links and images of the renderer against the URL of
+ * the markdown
+ *
+ * @param {marked.Renderer} renderer
+ * @param {String} baseUrl
+ * @returns {marked.Renderer} a renderer that delegates to the given one
+ */
+function resolvingRenderer (renderer, baseUrl) {
+  var resolving = Object.create(renderer)
+  resolving.link = function (href, title, text) {
+    return renderer.link.call(this, resolveUrl(href, baseUrl), title, text)
+  }
+  resolving.image = function (href, title, text) {
+    return renderer.image.call(this, resolveUrl(href, baseUrl), title, text)
+  }
+  return resolving
+}
+
+/**
+ * @param {String} href
+ * @param {String} baseUrl
+ * @returns {String} the absolute URL of a relative href, other hrefs (e.g.
+ *   fragments and URLs with a scheme) are returned as-is
+ */
+function resolveUrl (href, baseUrl) {
+  if (!href || /^(#|[a-z][a-z0-9+.-]*:|\/\/)/i.test(href)) {
+    return href
+  }
+  try {
+    return new url.URL(href, baseUrl).href
+  } catch (e) {
+    return href
+  }
+}
+
+/**
+ * Collects the headings of the document for the table of contents
+ *
+ * @param {marked.Renderer} renderer
+ * @param {Array<Object>} headings collects each heading: {level: Number,
+ *   html: String, id: String}, the id is undefined if it has none
+ * @returns {marked.Renderer} a renderer that delegates to the given one
+ */
+function headingRenderer (renderer, headings) {
+  var rendering = Object.create(renderer)
+  rendering.heading = function (text, level, raw, slugger) {
+    var html = renderer.heading.call(this, text, level, raw, slugger)
+    var id = /^<h\d id="([^"]*)"/.exec(html)
+    headings.push({ level: level, html: text, id: id ? unescapeHtml(id[1]) : undefined })
+    return html
+  }
+  return rendering
+}
+
+/**
+ * @param {String} html The HTML of a heading, see headingRenderer
+ * @param {Array<Object>} math see extractMath
+ * @returns {String} the text of the heading, its math is the TeX
+ */
+function headingText (html, math) {
+  var text = unescapeHtml(html.replace(/<[^>]*>/g, ''))
+  return math.reduce((result, item, index) => result.replace(mathPlaceholder(index), () => item.tex.trim()), text)
+}
+
+/**
+ * Renders GitHub alerts and the class of task list items, see
+ * lib/markdownExtensions
+ *
+ * @param {marked.Renderer} renderer
+ * @returns {marked.Renderer} a renderer that delegates to the given one
+ */
+function syntaxRenderer (renderer) {
+  var rendering = Object.create(renderer)
+  rendering.blockquote = function (quote) {
+    return MarkdownExtensions.renderAlert(quote) || renderer.blockquote.call(this, quote)
+  }
+  rendering.listitem = function (text, task, checked) {
+    if (!task) {
+      return renderer.listitem.call(this, text, task, checked)
+    }
+    return '<li class="task-list-item">' + text + '</li>\n'
+  }
+  return rendering
+}
+
+/**
+ * Renders fenced mermaid code blocks as the elements the diagram script
+ * renders, see getDiagramScript
+ *
+ * @param {marked.Renderer} renderer
+ * @param {Array<String>} diagrams collects the source of each diagram
+ * @returns {marked.Renderer} a renderer that delegates to the given one
+ */
+function diagramRenderer (renderer, diagrams) {
+  var rendering = Object.create(renderer)
+  rendering.code = function (code, lang, escaped) {
+    if ((lang || '').split(/\s/)[0] !== 'mermaid') {
+      return renderer.code.call(this, code, lang, escaped)
+    }
+    diagrams.push(code)
+    return '<div class="mermaid">' + escapeHtml(code) + '</div>\n'
+  }
+  return rendering
+}
+
+/**
+ * @param {Array<String>} diagrams see diagramRenderer
+ * @param {Object} options see module.exports
+ * @returns {String} the scripts that render the diagrams, empty if there are
+ *   none
+ */
+function getDiagramScript (diagrams, options) {
+  if (!diagrams.length) {
+    return ''
+  }
+  var config = { startOnLoad: false, theme: getTheme(options).mermaidTheme }
+  var eventName = options.waitForJSEvent && typeof options.waitForJSEvent === 'string'
+    ? options.waitForJSEvent
+    : 'view-ready'
+  return '<script src="' + url.pathToFileURL(require.resolve('mermaid/dist/mermaid.min.js')).href + '"></script>' +
+    '<script>(' + renderDiagrams.toString() + ')(' + JSON.stringify(config) + ', ' + JSON.stringify(eventName) + ')</script>'
+}
+
+/**
+ * Runs in the page, see getDiagramScript.  A diagram that fails to render
+ * doesn't hold up the export, mermaid shows the error in its place.
+ */
+function renderDiagrams (config, eventName) {
+  Promise.resolve()
+    .then(() => {
+      window.mermaid.initialize(config)
+      return window.mermaid.run({ querySelector: '.mermaid' })
     })
+    .catch(err => console.error('Unable to render diagrams', err))
+    .then(() => {
+      // The job may not be listening yet, dispatch until it acknowledges
+      const ready = setInterval(() => document.body.dispatchEvent(new window.Event(eventName)), 25)
+      document.body.addEventListener(eventName + '-acknowledged', () => clearInterval(ready))
+    })
+}
+
+/**
+ * Replaces the math of the markdown with placeholders, so marked doesn't
+ * interpret it (e.g. an _ as emphasis)
+ *
+ * @param {String} markdownContent
+ * @param {Array<Object>} math collects the math: {tex: String, displayMode: Boolean}
+ * @returns {String} the markdown with placeholders, see renderMath
+ */
+function extractMath (markdownContent, math) {
+  return markdownContent.replace(MATH, function (match, code, fence, ticks, display, inline) {
+    if (code) {
+      return match
+    }
+    if (display === undefined && inline === undefined) {
+      return '$'
+    }
+    math.push({ tex: display === undefined ? inline : display, displayMode: display !== undefined })
+    return mathPlaceholder(math.length - 1)
+  })
+}
+
+/**
+ * @param {String} html The HTML converted from the markdown of extractMath
+ * @param {Array<Object>} math see extractMath
+ * @returns {String} the HTML with the math rendered in place of the placeholders
+ */
+function renderMath (html, math) {
+  return math.reduce(function (result, item, index) {
+    var rendered = katex.renderToString(item.tex.trim(), { displayMode: item.displayMode, throwOnError: false })
+    // Display math on its own isn't a paragraph
+    var placeholder = mathPlaceholder(index)
+    return result
+      .replace('<p>' + placeholder + '</p>', function () { return rendered })
+      .replace(placeholder, function () { return rendered })
+  }, html)
+}
+
+function mathPlaceholder (index) {
+  return 'electronpdfmath' + index + 'x'
+}
+
+function escapeHtml (text) {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;')
+}
+
+function unescapeHtml (html) {
+  var named = { amp: '&', lt: '<', gt: '>', quot: '"', apos: '\'', nbsp: '\u00a0' }
+  return html.replace(/&(?:#(\d+)|#x([\da-f]+)|(\w+));/gi, function (entity, decimal, hex, name) {
+    if (name) {
+      return named[name.toLowerCase()] || entity
+    }
+    return String.fromCodePoint(decimal ? Number(decimal) : parseInt(hex, 16))
   })
 }
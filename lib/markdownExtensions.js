@@ -0,0 +1,154 @@
+'use strict'
+
+// Third Party Modules
+const _ = require('lodash')
+const emoji = require('node-emoji')
+
+/** The kinds of GitHub alerts, e.g. > [!NOTE] */
+const ALERTS = ['note', 'tip', 'important', 'warning', 'caution']
+
+/**
+ * A footnote definition: [^id]: text, continued by lines indented by four
+ * spaces or a tab
+ */
+const FOOTNOTE = /^\[\^([^\]\s]+)\]:[ \t]*([^\n]*(?:\n+(?: {4}|\t)[^\n]*)*)(?:\n|$)/
+const FOOTNOTE_REFERENCE = /^\[\^([^\]\s]+)\]/
+const EMOJI = /^:([\w+-]+):/
+const ALERT = new RegExp(`^<p>\\[!(${ALERTS.join('|')})\\](?:<br>)?(?:\\n|</p>\\n?)`, 'i')
+
+/**
+ * The syntax that marked doesn't support: footnotes, emoji shortcodes (e.g.
+ * :rocket:) and GitHub alerts.
+ *
+ * The extensions are registered with marked for the whole process, so they
+ * only apply when the options of marked have the state they need: footnotes
+ * (see createFootnotes) and emoji.
+ */
+module.exports = {
+
+  /** The extensions to register, see marked.use */
+  extensions: [
+    {
+      name: 'footnote',
+      level: 'block',
+      start (src) {
+        // src starts within a line, so a definition follows a line break
+        const match = src.match(/\n\[\^[^\]\s]+\]:/)
+        return match ? match.index + 1 : undefined
+      },
+      tokenizer (src) {
+        const footnotes = this.lexer.options.footnotes
+        const match = footnotes && FOOTNOTE.exec(src)
+        if (!match) {
+          return undefined
+        }
+        const id = match[1].toLowerCase()
+        const token = { type: 'footnote', raw: match[0], id, tokens: [] }
+        this.lexer.blockTokens(match[2].replace(/^(?: {4}|\t)/gm, ''), token.tokens)
+        footnotes.definitions[id] = footnotes.definitions[id] || token
+        return token
+      },
+      renderer (token) {
+        // The definitions are rendered at the end of the document, see renderFootnotes
+        if (this.parser.options.footnotes.definitions[token.id] === token) {
+          token.html = this.parser.parse(token.tokens)
+        }
+        return ''
+      }
+    },
+    {
+      name: 'footnoteReference',
+      level: 'inline',
+      start (src) {
+        const index = src.indexOf('[^')
+        return index === -1 ? undefined : index
+      },
+      tokenizer (src) {
+        const footnotes = this.lexer.options.footnotes
+        const match = footnotes && FOOTNOTE_REFERENCE.exec(src)
+        const id = match && match[1].toLowerCase()
+        if (!match || !footnotes.definitions[id]) {
+          return undefined
+        }
+        let number = footnotes.references.indexOf(id) + 1
+        if (!number) {
+          footnotes.references.push(id)
+          number = footnotes.references.length
+        }
+        footnotes.count[id] = (footnotes.count[id] || 0) + 1
+        return { type: 'footnoteReference', raw: match[0], id, number, index: footnotes.count[id] }
+      },
+      renderer (token) {
+        const id = toId(token.id)
+        return `<sup class="footnote-ref"><a href="#fn-${id}" id="fnref-${id}-${token.index}">${token.number}</a></sup>`
+      }
+    },
+    {
+      name: 'emoji',
+      level: 'inline',
+      start (src) {
+        const index = src.indexOf(':')
+        return index === -1 ? undefined : index
+      },
+      tokenizer (src) {
+        const match = this.lexer.options.emoji && EMOJI.exec(src)
+        if (!match || !emoji.hasEmoji(match[1])) {
+          return undefined
+        }
+        return { type: 'emoji', raw: match[0], name: match[1] }
+      },
+      renderer (token) {
+        return emoji.get(token.name)
+      }
+    }
+  ],
+
+  /**
+   * @returns {Object} the footnotes of a document, to pass as the footnotes
+   *   option of marked
+   */
+  createFootnotes () {
+    return { definitions: {}, references: [], count: {} }
+  },
+
+  /**
+   * @param {Object} footnotes see createFootnotes, once the document is parsed
+   * @returns {String} the footnotes section of the document, in the order they
+   *   are referenced.  Footnotes that are not referenced are left out.
+   */
+  renderFootnotes (footnotes) {
+    if (!footnotes.references.length) {
+      return ''
+    }
+    const items = footnotes.references.map(id => {
+      const backrefs = _.range(1, footnotes.count[id] + 1)
+        .map(index => ` <a href="#fnref-${toId(id)}-${index}" class="footnote-backref">&#8617;</a>`)
+        .join('')
+      const html = _.trimEnd(footnotes.definitions[id].html || '')
+      const content = _.endsWith(html, '</p>') ? html.slice(0, -4) + backrefs + '</p>' : html + backrefs
+      return `<li id="fn-${toId(id)}">\n${content}\n</li>\n`
+    })
+    return `<section class="footnotes">\n<hr>\n<ol>\n${items.join('')}</ol>\n</section>\n`
+  },
+
+  /**
+   * @param {String} quote The HTML of a blockquote
+   * @returns {String} the HTML of the alert when the blockquote starts with
+   *   the kind of alert (e.g. [!WARNING]), undefined otherwise
+   */
+  renderAlert (quote) {
+    const match = ALERT.exec(quote)
+    if (!match) {
+      return undefined
+    }
+    const kind = match[1].toLowerCase()
+    // The kind is either a paragraph of its own or the first line of one
+    const rest = quote.slice(match[0].length)
+    const content = /<\/p>\n?$/.test(match[0]) ? rest : '<p>' + rest
+    return `<div class="markdown-alert markdown-alert-${kind}">\n<p class="markdown-alert-title">${_.capitalize(kind)}</p>\n${content}</div>\n`
+  }
+}
+
+function toId (id) {
+  return id.replace(/[^\w-]+/g, '-')
+}
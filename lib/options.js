@@ -2,7 +2,7 @@
 //  TODO: Generate Usage Doc from argv options
 
 var options = {
-  boolean: ['printBackground', 'landscape', 'printSelectionOnly', 'trustRemoteContent', 'ignoreCertificateErrors', 'disableCache'],
+  boolean: ['printBackground', 'landscape', 'printSelectionOnly', 'trustRemoteContent', 'ignoreCertificateErrors', 'disableCache', 'merge', 'displayHeaderFooter', 'preferCSSPageSize', 'metadataFromPage', 'outline', 'fullPage', 'selfContained', 'toc', 'tocPageNumbers'],
   alias: {
     'input': 'i',
     'output': 'o',
@@ -14,39 +14,121 @@ var options = {
 
     'cookie': ['cookies'],
     'css': 'c',
+    // The path of a JSON file, the data template inputs (.hbs, .mustache, .ejs) are rendered with
+    'data': [],
+    // Emulate a phone, tablet or desktop, see WindowTailor.getDevice
+    'device': [],
+    // e.g. 2 for retina images
+    'deviceScaleFactor': [],
     'disableCache': 'd',
+    'displayHeaderFooter': [],
+    // Inline HTML or the path to an HTML file
+    'footerTemplate': [],
+    // Capture the whole page rather than the window in image exports
+    'fullPage': [],
+    'headerTemplate': [],
     'help': 'h',
+    // The highlight.js style of markdown code blocks
+    'highlightTheme': [],
     'ignoreCertificateErrors': [],
     'landscape': 'l',
     // Do not run printToPDF, useful if the page downloads a file that needs captured instead of a PDF
     // Currently only supports a single import url
     'noprint': [],
     'marginsType': ['m', 'marginType'],
+    // strict, off or the path of a JSON file of sanitize-html options
+    'markdownSanitize': [],
+    // github, github-dark or print
+    'markdownTheme': [],
+    // CSS shorthand of one to four lengths (mm, cm, in or px), overrides marginsType
+    'margins': [],
+    'marginTop': [],
+    'marginRight': [],
+    'marginBottom': [],
+    'marginLeft': [],
+    // Join the PDF of each input into a single output file
+    'merge': [],
+    // PDF metadata, keywords are comma separated
+    'title': [],
+    'author': [],
+    'subject': [],
+    'keywords': [],
+    'creator': [],
+    'producer': [],
+    // Use the <title> and <meta> tags of the page for metadata that isn't provided
+    'metadataFromPage': [],
     'orientation': ['o', 'orientations'],
+    // Create PDF bookmarks from the h1 - h6 headings of the page
+    'outline': [],
     'outputWait': 'w',
+    // PDF encryption, see PdfBinder.encrypt
+    'ownerPassword': [],
+    'permissions': [],
+    'userPassword': [],
     'pageSize': 'p',
+    // 0 - 100, for JPEG and WebP exports
+    'quality': [],
+    // e.g. '1-5, 8, 11-13'
+    'pageRanges': [],
+    'preferCSSPageSize': [],
+    'scale': [],
+    // A table of contents of the h1 - h{tocDepth} headings at the start of the document
+    'toc': [],
+    'tocDepth': [],
+    'tocPageNumbers': [],
+    'tocTitle': [],
+
+    // `serve` command only
+    'port': [],
+    'host': [],
+    'maxConcurrentJobs': [],
+    'maxQueueSize': [],
+    'windowPoolSize': [],
+    'windowMaxUses': [],
+    'windowMaxMemory': [],
 
     // JSON String of key/value pairs (e.g. `{"Authentication": "Bearer Token"}` )
     'requestHeaders': 'r',
 
     'printBackground': 'b',
+    // CSS selector of the only element to export
+    'selector': [],
+    // Embed the stylesheets, images and fonts of .html exports as data URIs
+    'selfContained': [],
     'printSelectionOnly': 's',
     'trustRemoteContent': 't',
+    // Comma separated, e.g. 'pdf,png,html'
     'type': ['type'],
     'version': 'v',
+    // The text overlaid on every page, e.g. DRAFT
+    'watermark': [],
+    // The path or url of an image overlaid on every page (along with the text, if any)
+    'watermarkImage': [],
+    'watermarkOpacity': [],
+    'watermarkPosition': [],
+    'watermarkRotation': [],
     'waitForJSEvent': 'e'
   },
   default: {
     'ignoreCertificateErrors': false,
     'landscape': false,
     'marginsType': 1,
+    'merge': false,
+    'metadataFromPage': false,
     'noprint': false,
+    'outline': false,
+    'fullPage': false,
+    'selfContained': false,
+    'toc': false,
+    'tocPageNumbers': false,
     'outputWait': 0,
     'pageSize': 'A4',
     'printBackground': true,
     'printSelectionOnly': false,
     'trustRemoteContent': false,
-    'disableCache': false
+    'disableCache': false,
+    'displayHeaderFooter': false,
+    'preferCSSPageSize': false
   }
 }
 
@@ -0,0 +1,244 @@
+'use strict'
+
+// Node Modules
+const path = require('path')
+const url = require('url')
+
+// Third Party Modules
+const _ = require('lodash')
+
+/**
+ * Matches the references of a stylesheet: url() values and @import rules.
+ * Comments and quoted strings are matched so a url() inside one is not
+ * mistaken for a reference, they are left alone unless a string follows @import.
+ *
+ * Groups: 1 a comment, 2 @import, 4 the url() value, 6 the quoted string
+ */
+const CSS_REFERENCE = /(\/\*[\s\S]*?\*\/)|(@import\s+)?(?:url\(\s*(['"]?)([^'")]*)\3\s*\)|(['"])((?:\\.|(?!\5)[^\\\n])*)\5)/g
+
+/** Content types of the resources pages commonly reference, by file extension */
+const CONTENT_TYPES = {
+  '.css': 'text/css',
+  '.eot': 'application/vnd.ms-fontobject',
+  '.gif': 'image/gif',
+  '.ico': 'image/x-icon',
+  '.jpeg': 'image/jpeg',
+  '.jpg': 'image/jpeg',
+  '.otf': 'font/otf',
+  '.png': 'image/png',
+  '.svg': 'image/svg+xml',
+  '.ttf': 'font/ttf',
+  '.webp': 'image/webp',
+  '.woff': 'font/woff',
+  '.woff2': 'font/woff2'
+}
+
+/**
+ * The archiver is responsible for the self-contained HTML snapshot of a page,
+ * which embeds the stylesheets, images and fonts of the page as data URIs so
+ * it renders the same once the original resources are gone.
+ *
+ * Resources are fetched outside the page (see inline), where they are not
+ * subject to the same-origin policy, so the fetch function decides which
+ * resources a page may embed (see ExportJob._fetchResource).
+ */
+module.exports = {
+
+  /**
+   * @returns {string} JavaScript that lists the resources of the page, see
+   *   inline
+   */
+  getResourcesScript () {
+    return `(${listResources.toString()})()`
+  },
+
+  /**
+   * Fetches the resources of the page and embeds them, along with the
+   * resources their stylesheets reference, as data URIs.  A resource that
+   * can't be fetched keeps its absolute url.
+   *
+   * @param {object} resources from getResourcesScript
+   * @param {Function} fetchFn Fetches a url, fulfills with {data: Buffer, type: String}
+   * @returns {Promise<object>} to pass to getInlineScript, failed lists the
+   *   urls that could not be fetched
+   */
+  inline (resources, fetchFn) {
+    const failed = []
+    const fetches = {}
+    const fetchOnce = href => {
+      fetches[href] = fetches[href] || fetchFn(href).catch(err => {
+        failed.push(href)
+        throw err
+      })
+      return fetches[href]
+    }
+    const inlineAll = (list, fn) => Promise.all(_.map(list, fn))
+
+    return Promise.all([
+      inlineAll(resources.stylesheets, href => {
+        return fetchOnce(href)
+          .then(result => this.inlineCss(result.data.toString('utf8'), href, fetchOnce))
+          .catch(() => null)
+      }),
+      inlineAll(resources.styles, css => this.inlineCss(css, resources.baseURI, fetchOnce)),
+      inlineAll(resources.styleAttributes, css => this.inlineCss(css, resources.baseURI, fetchOnce)),
+      inlineAll(resources.images, href => {
+        return _.startsWith(href, 'data:') ? href : fetchOnce(href).then(result => toDataUrl(result, href), () => href)
+      })
+    ]).then(([stylesheets, styles, styleAttributes, images]) => {
+      return { stylesheets, styles, styleAttributes, images, failed: _.uniq(failed) }
+    })
+  },
+
+  /**
+   * Embeds the url() values and @import rules of a stylesheet as data URIs,
+   * imported stylesheets are inlined as well.
+   *
+   * @param {string} css
+   * @param {string} baseUrl The url relative references are resolved against
+   * @param {Function} fetchFn see inline
+   * @param {Array<string>} [importing] The stylesheets being imported, which
+   *   are not fetched again to break import cycles
+   * @returns {Promise<string>} the stylesheet
+   */
+  inlineCss (css, baseUrl, fetchFn, importing = []) {
+    const references = {}
+    css.replace(CSS_REFERENCE, (match, comment, importRule, q1, urlValue, q2, string) => {
+      const reference = getReference(importRule, urlValue, string, baseUrl)
+      if (reference && !references[reference.href]) {
+        references[reference.href] = fetchReference(reference, fetchFn, importing)
+      }
+      return match
+    })
+
+    const hrefs = _.keys(references)
+    return Promise.all(_.map(hrefs, href => references[href])).then(dataUrls => {
+      const inlined = _.zipObject(hrefs, dataUrls)
+      return css.replace(CSS_REFERENCE, (match, comment, importRule, q1, urlValue, q2, string) => {
+        const reference = getReference(importRule, urlValue, string, baseUrl)
+        if (!reference) {
+          return match
+        }
+        return `${importRule || ''}url(${JSON.stringify(inlined[reference.href])})`
+      })
+    })
+  },
+
+  /**
+   * @param {object} inlined from inline
+   * @returns {string} JavaScript that embeds the resources in the page, it
+   *   returns the HTML of the page
+   */
+  getInlineScript (inlined) {
+    return `(${inlineResources.toString()})(${JSON.stringify(_.omit(inlined, 'failed'))})`
+  },
+
+  /**
+   * @param {string} file a path or url
+   * @returns {string} the content type of the file, by its extension
+   */
+  getContentType (file) {
+    return CONTENT_TYPES[path.extname(url.parse(file).pathname || '').toLowerCase()] ||
+      'application/octet-stream'
+  }
+}
+
+/**
+ * @returns {{href: String, isImport: boolean}} the absolute url of a
+ *   stylesheet reference, undefined if the match is not a reference or
+ *   doesn't need to be inlined
+ */
+function getReference (importRule, urlValue, string, baseUrl) {
+  const value = _.isUndefined(urlValue) ? (importRule ? string : undefined) : urlValue
+  if (!_.trim(value) || /^(data|about|javascript):/i.test(_.trim(value)) || _.startsWith(_.trim(value), '#')) {
+    return undefined
+  }
+  try {
+    return { href: new url.URL(_.trim(value), baseUrl).href, isImport: Boolean(importRule) }
+  } catch (err) {
+    return undefined
+  }
+}
+
+function fetchReference (reference, fetchFn, importing) {
+  const { href, isImport } = reference
+  if (!isImport) {
+    return fetchFn(href).then(result => toDataUrl(result, href), () => href)
+  }
+  if (_.includes(importing, href)) {
+    return Promise.resolve(href)
+  }
+  return fetchFn(href)
+    .then(result => module.exports.inlineCss(result.data.toString('utf8'), href, fetchFn, importing.concat(href)))
+    .then(css => toDataUrl({ data: Buffer.from(css), type: 'text/css' }, href), () => href)
+}
+
+function toDataUrl (result, href) {
+  const type = result.type || module.exports.getContentType(href)
+  return `data:${type};base64,${result.data.toString('base64')}`
+}
+
+/**
+ * Runs in the page, see getResourcesScript.  Elements are marked with their
+ * index so inlineResources finds the same elements.
+ */
+function listResources () {
+  const mark = (selector, kind) => Array.from(document.querySelectorAll(selector)).map((element, index) => {
+    element.setAttribute(`data-electron-pdf-${kind}`, index)
+    return element
+  })
+  return {
+    baseURI: document.baseURI,
+    stylesheets: mark('link[rel~="stylesheet"][href]', 'stylesheet').map(link => link.href),
+    styles: mark('style', 'style').map(style => style.textContent),
+    styleAttributes: mark('[style*="url("]', 'style-attribute').map(element => element.getAttribute('style')),
+    images: mark('img[src], img[srcset]', 'image').map(image => image.currentSrc || image.src)
+  }
+}
+
+/**
+ * Runs in the page, see getInlineScript.  Scripts are removed so the snapshot
+ * shows the page as it was rendered rather than running again.
+ */
+function inlineResources (inlined) {
+  const each = (kind, fn) => {
+    const attribute = `data-electron-pdf-${kind}`
+    document.querySelectorAll(`[${attribute}]`).forEach(element => {
+      const index = Number(element.getAttribute(attribute))
+      element.removeAttribute(attribute)
+      fn(element, index)
+    })
+  }
+  each('stylesheet', (link, index) => {
+    const css = inlined.stylesheets[index]
+    if (css === null) {
+      link.setAttribute('href', link.href)
+      return
+    }
+    const style = document.createElement('style')
+    link.media && style.setAttribute('media', link.media)
+    style.textContent = css
+    link.replaceWith(style)
+  })
+  each('style', (style, index) => {
+    style.textContent = inlined.styles[index]
+  })
+  each('style-attribute', (element, index) => {
+    element.setAttribute('style', inlined.styleAttributes[index])
+  })
+  each('image', (image, index) => {
+    image.setAttribute('src', inlined.images[index])
+    image.removeAttribute('srcset')
+    image.removeAttribute('sizes')
+  })
+  document.querySelectorAll('picture > source, script').forEach(element => element.remove())
+
+  // Links keep working relative to the original page
+  if (!document.querySelector('base')) {
+    const base = document.createElement('base')
+    base.href = document.baseURI
+    document.head.prepend(base)
+  }
+  const doctype = document.doctype ? `<!DOCTYPE ${document.doctype.name}>\n` : ''
+  return doctype + document.documentElement.outerHTML
+}
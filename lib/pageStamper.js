@@ -0,0 +1,178 @@
+'use strict'
+
+// Node Modules
+const fs = require('fs')
+const path = require('path')
+
+// Third Party Modules
+const _ = require('lodash')
+
+const DEFAULT_OPACITY = 0.2
+const DEFAULT_ROTATION = -45 // degrees
+
+/**
+ * Where the watermark is placed on each page, as the CSS of a fixed position
+ * element.  translate centers the watermark before it is rotated.
+ */
+const POSITIONS = {
+  'center': { top: '50%', left: '50%', translate: 'translate(-50%, -50%)' },
+  'top': { top: '0', left: '50%', translate: 'translateX(-50%)' },
+  'bottom': { bottom: '0', left: '50%', translate: 'translateX(-50%)' },
+  'top-left': { top: '0', left: '0' },
+  'top-right': { top: '0', right: '0' },
+  'bottom-left': { bottom: '0', left: '0' },
+  'bottom-right': { bottom: '0', right: '0' }
+}
+
+/** Image types that can be used for a watermark, by file extension */
+const IMAGE_TYPES = {
+  '.gif': 'image/gif',
+  '.jpeg': 'image/jpeg',
+  '.jpg': 'image/jpeg',
+  '.png': 'image/png',
+  '.svg': 'image/svg+xml',
+  '.webp': 'image/webp'
+}
+
+/**
+ * The stamper is responsible for overlaying a watermark (text and/or an image)
+ * on a page before it is captured.  The watermark is a fixed position element,
+ * which Chromium prints on every page of a PDF.
+ */
+module.exports = {
+
+  /** The supported watermark positions */
+  POSITIONS: _.keys(POSITIONS),
+
+  /**
+   * @param {object} args
+   * @param {string} [args.watermark] The text of the watermark
+   * @param {string} [args.watermarkImage] The path or url of an image
+   * @param {number} [args.watermarkOpacity=0.2]
+   * @param {number} [args.watermarkRotation=-45] In degrees, clockwise
+   * @param {string} [args.watermarkPosition='center'] One of POSITIONS
+   *
+   * @returns {object} the watermark, undefined if there is no watermark.  Its
+   *   image is not read, see loadWatermark.
+   * @throws {Error} if the position or the image type is not supported
+   */
+  getWatermark (args) {
+    if (!args.watermark && !args.watermarkImage) {
+      return undefined
+    }
+    const position = args.watermarkPosition || 'center'
+    if (!POSITIONS[position]) {
+      throw new Error(`Invalid watermarkPosition '${position}', expected one of: ${_.keys(POSITIONS).join(', ')}`)
+    }
+    const opacity = _.isNil(args.watermarkOpacity) ? DEFAULT_OPACITY : Number(args.watermarkOpacity)
+    const rotation = _.isNil(args.watermarkRotation) ? DEFAULT_ROTATION : Number(args.watermarkRotation)
+    const { translate = '' } = POSITIONS[position]
+    const image = args.watermarkImage ? String(args.watermarkImage) : undefined
+    image && getImageType(image)
+
+    return {
+      text: args.watermark ? String(args.watermark) : undefined,
+      image,
+      style: _.extend(_.omit(POSITIONS[position], 'translate'), {
+        position: 'fixed',
+        zIndex: '2147483647',
+        pointerEvents: 'none',
+        padding: '16px',
+        textAlign: 'center',
+        opacity: String(opacity),
+        transform: _.trim(`${translate} rotate(${rotation}deg)`)
+      })
+    }
+  },
+
+  /**
+   * @param {object} args see getWatermark
+   * @returns {Promise<object>} the watermark to pass to getStampScript, with
+   *   its image read (see getImageSource), undefined if there is no watermark
+   */
+  loadWatermark (args) {
+    return Promise.resolve().then(() => {
+      const watermark = this.getWatermark(args)
+      if (!watermark || !watermark.image) {
+        return watermark
+      }
+      return this.getImageSource(watermark.image).then(image => _.extend({}, watermark, { image }))
+    })
+  },
+
+  /**
+   * Pages can't load local files unless they are local themselves, so images
+   * that are not a url are embedded as a data url.
+   *
+   * @param {string} image The path or url of an image
+   * @returns {Promise<string>} the url of the image, rejected if the file
+   *   can't be read or is not a supported image type
+   */
+  getImageSource (image) {
+    if (/^(https?|data|file):/.test(image)) {
+      return Promise.resolve(image)
+    }
+    return Promise.resolve()
+      .then(() => getImageType(image))
+      .then(type => fs.promises.readFile(image).then(data => `data:${type};base64,${data.toString('base64')}`))
+  },
+
+  /**
+   * @param {object} watermark see loadWatermark
+   * @returns {string} JavaScript that adds the watermark to the page, it
+   *   fulfills once the watermark image has loaded
+   */
+  getStampScript (watermark) {
+    return `(${stampPage.toString()})(${JSON.stringify(watermark)})`
+  }
+}
+
+/**
+ * @param {string} image The path or url of an image
+ * @returns {string} the mime type of an image file, undefined for a url
+ * @throws {Error} if the file is not a supported image type
+ */
+function getImageType (image) {
+  if (/^(https?|data|file):/.test(image)) {
+    return undefined
+  }
+  const type = IMAGE_TYPES[path.extname(image).toLowerCase()]
+  if (!type) {
+    throw new Error(`Invalid watermarkImage '${image}', expected one of: ${_.keys(IMAGE_TYPES).join(', ')}`)
+  }
+  return type
+}
+
+/**
+ * Runs in the page, see getStampScript
+ */
+function stampPage (watermark) {
+  const stamp = document.createElement('div')
+  stamp.setAttribute('data-electron-pdf-watermark', '')
+  Object.assign(stamp.style, watermark.style)
+
+  let loaded = Promise.resolve()
+  if (watermark.image) {
+    const image = document.createElement('img')
+    image.style.display = 'block'
+    image.style.margin = '0 auto'
+    loaded = new Promise(resolve => {
+      image.onload = image.onerror = () => resolve()
+    })
+    image.src = watermark.image
+    stamp.appendChild(image)
+  }
+  if (watermark.text) {
+    const text = document.createElement('div')
+    text.textContent = watermark.text
+    Object.assign(text.style, {
+      font: 'bold 72px sans-serif',
+      color: '#000',
+      whiteSpace: 'nowrap'
+    })
+    stamp.appendChild(text)
+  }
+
+  document.body.appendChild(stamp)
+  return loaded
+}
@@ -0,0 +1,306 @@
+'use strict'
+
+// Node Modules
+const crypto = require('crypto')
+
+// Third Party Modules
+const _ = require('lodash')
+const { PDFArray, PDFDict, PDFDocument, PDFHexString, PDFName, PDFNumber } = require('@cantoo/pdf-lib')
+
+/** PDF user space units per inch */
+const POINTS_PER_INCH = 72
+
+/** Document information fields, by the name used in args and metadata objects */
+const METADATA_FIELDS = {
+  title: 'Title',
+  author: 'Author',
+  subject: 'Subject',
+  keywords: 'Keywords',
+  creator: 'Creator',
+  producer: 'Producer'
+}
+
+/**
+ * The permissions encrypt can grant, and the pdf-lib permissions they map to.
+ * Printing is last so it takes precedence over low resolution printing.
+ */
+const PERMISSIONS = {
+  lowResolutionPrinting: { printing: 'lowResolution' },
+  printing: { printing: 'highResolution' },
+  modifying: { modifying: true },
+  copying: { copying: true },
+  annotating: { annotating: true },
+  fillingForms: { fillingForms: true },
+  contentAccessibility: { contentAccessibility: true },
+  documentAssembly: { documentAssembly: true }
+}
+
+/** Keeps pdf-lib from replacing the Producer, Creator and dates set by Chromium */
+const LOAD_OPTIONS = { updateMetadata: false }
+
+/**
+ * The binder is responsible for assembling the PDFs captured from each window
+ * into the document that is delivered.  Every function accepts and fulfills
+ * with a Buffer so they can be applied to file and in memory exports alike.
+ */
+module.exports = {
+
+  /** The metadata fields supported by setMetadata */
+  METADATA_FIELDS: _.keys(METADATA_FIELDS),
+
+  /** The permissions supported by encrypt */
+  PERMISSIONS: _.keys(PERMISSIONS),
+
+  /**
+   * Joins several PDFs into one document.  Pages are copied as-is, so each
+   * section keeps its own page size and orientation.  The merged document
+   * takes the metadata of the first PDF and the outline of every PDF.
+   *
+   * @param {Array<Buffer>} buffers The PDFs, in the order they should appear
+   * @returns {Promise<Buffer>} the merged PDF
+   */
+  merge (buffers) {
+    return PDFDocument.create(LOAD_OPTIONS).then(merged => {
+      const outline = []
+      return buffers.reduce((previous, buffer, index) => {
+        return previous
+          .then(() => PDFDocument.load(buffer, LOAD_OPTIONS))
+          .then(doc => {
+            index === 0 && applyMetadata(merged, getMetadata(doc))
+            const pageOffset = merged.getPageCount()
+            readOutline(doc).forEach(item => {
+              outline.push(_.extend(item, { pageIndex: item.pageIndex + pageOffset }))
+            })
+            return merged.copyPages(doc, doc.getPageIndices())
+          })
+          .then(pages => pages.forEach(page => merged.addPage(page)))
+      }, Promise.resolve())
+        .then(() => {
+          writeOutline(merged, outline)
+          return merged.save()
+        })
+        .then(bytes => Buffer.from(bytes))
+    })
+  },
+
+  /**
+   * Writes the outline (bookmarks) shown in the sidebar of PDF viewers.  Each
+   * item is nested under the closest preceding item with a lower level, like
+   * the headings of an HTML document.
+   *
+   * @param {Buffer} buffer The PDF
+   * @param {Array<Object>} outline The items in document order
+   * @param {String} outline[].title
+   * @param {Number} outline[].level 1 for top level items
+   * @param {Number} outline[].pageIndex The page the item links to
+   * @param {Number} outline[].top The distance from the top of the page the
+   *   item links to, in inches
+   * @returns {Promise<Buffer>} the PDF with the outline
+   */
+  addOutline (buffer, outline) {
+    return PDFDocument.load(buffer, LOAD_OPTIONS)
+      .then(doc => {
+        writeOutline(doc, outline)
+        return doc.save()
+      })
+      .then(bytes => Buffer.from(bytes))
+  },
+
+  /**
+   * @param {Buffer} buffer The PDF
+   * @returns {Promise<Array<Object>>} the outline items, see addOutline
+   */
+  getOutline (buffer) {
+    return PDFDocument.load(buffer, LOAD_OPTIONS).then(readOutline)
+  },
+
+  /**
+   * Writes the document information dictionary
+   *
+   * @param {Buffer} buffer The PDF
+   * @param {Object} metadata title, author, subject, keywords, creator and/or
+   *   producer; fields that are not provided are left unchanged.  keywords may
+   *   be an Array or a comma separated String.
+   * @returns {Promise<Buffer>} the PDF with the metadata
+   */
+  setMetadata (buffer, metadata) {
+    return PDFDocument.load(buffer, LOAD_OPTIONS)
+      .then(doc => {
+        applyMetadata(doc, metadata)
+        return doc.save()
+      })
+      .then(bytes => Buffer.from(bytes))
+  },
+
+  /**
+   * Encrypts the PDF (AES-256) so readers require the user password to open it
+   * and only allow what the permissions grant.  This must be the last change
+   * to a PDF, it can't be loaded again without the password.
+   *
+   * @param {Buffer} buffer The PDF
+   * @param {Object} security
+   * @param {String} [security.userPassword] Required to open the PDF, anyone
+   *   can open it when not provided
+   * @param {String} [security.ownerPassword] Grants every permission, a random
+   *   password is used when not provided so the permissions can't be lifted
+   * @param {Array|String} [security.permissions] The permissions granted to
+   *   the user (see PERMISSIONS), as an Array or a comma separated String.
+   *   'none' grants no permissions, every permission is granted when not provided
+   * @returns {Promise<Buffer>} the encrypted PDF
+   */
+  encrypt (buffer, security) {
+    return Promise.resolve()
+      .then(() => {
+        const permissions = toPermissions(security.permissions)
+        ensureWebCrypto()
+        return PDFDocument.load(buffer, LOAD_OPTIONS).then(doc => {
+          doc.encrypt({
+            userPassword: security.userPassword || '',
+            ownerPassword: security.ownerPassword || crypto.randomBytes(32).toString('hex'),
+            permissions
+          })
+          return doc.save()
+        })
+      })
+      .then(bytes => Buffer.from(bytes))
+  },
+
+  /**
+   * @param {Buffer} buffer The PDF
+   * @returns {Promise<Object>} the metadata fields that are set
+   */
+  getMetadata (buffer) {
+    return PDFDocument.load(buffer, LOAD_OPTIONS).then(getMetadata)
+  },
+
+  /**
+   * @param {Array|String} [permissions] see encrypt
+   * @returns {Object} the pdf-lib permissions that are granted
+   * @throws {Error} if a permission is not one of PERMISSIONS
+   */
+  toPermissions (permissions) {
+    return toPermissions(permissions)
+  }
+}
+
+function getMetadata (doc) {
+  const metadata = _.mapValues(METADATA_FIELDS, field => doc[`get${field}`]())
+  return _.omitBy(metadata, _.isUndefined)
+}
+
+function applyMetadata (doc, metadata) {
+  _.forEach(METADATA_FIELDS, (field, name) => {
+    const value = metadata[name]
+    if (!_.isNil(value) && value !== '') {
+      doc[`set${field}`](name === 'keywords' ? toKeywords(value) : String(value))
+    }
+  })
+}
+
+function toKeywords (value) {
+  return _.isArray(value) ? value : _.compact(_.map(String(value).split(','), _.trim))
+}
+
+function writeOutline (doc, outline) {
+  if (_.isEmpty(outline)) {
+    return
+  }
+  const root = { level: 0, ref: doc.context.nextRef(), children: [] }
+  const ancestors = [root]
+  outline.forEach(item => {
+    while (_.last(ancestors).level >= item.level) {
+      ancestors.pop()
+    }
+    const node = _.extend({ ref: doc.context.nextRef(), children: [] }, item)
+    _.last(ancestors).children.push(node)
+    ancestors.push(node)
+  })
+
+  const count = writeOutlineItems(doc, root)
+  doc.context.assign(root.ref, doc.context.obj({
+    Type: 'Outlines',
+    First: _.first(root.children).ref,
+    Last: _.last(root.children).ref,
+    Count: count
+  }))
+  doc.catalog.set(PDFName.of('Outlines'), root.ref)
+  doc.catalog.set(PDFName.of('PageMode'), PDFName.of('UseOutlines'))
+}
+
+/**
+ * @returns {Number} the number of items below parent, which are all open
+ */
+function writeOutlineItems (doc, parent) {
+  const pages = doc.getPages()
+  return parent.children.reduce((count, node, index) => {
+    const page = pages[_.clamp(node.pageIndex, 0, pages.length - 1)]
+    const top = Math.max(0, page.getHeight() - node.top * POINTS_PER_INCH)
+    const item = doc.context.obj({
+      Title: PDFHexString.fromText(node.title),
+      Parent: parent.ref,
+      Dest: [page.ref, 'XYZ', null, top, null]
+    })
+    index > 0 && item.set(PDFName.of('Prev'), parent.children[index - 1].ref)
+    index < parent.children.length - 1 && item.set(PDFName.of('Next'), parent.children[index + 1].ref)
+
+    const descendants = writeOutlineItems(doc, node)
+    if (descendants) {
+      item.set(PDFName.of('First'), _.first(node.children).ref)
+      item.set(PDFName.of('Last'), _.last(node.children).ref)
+      item.set(PDFName.of('Count'), PDFNumber.of(descendants))
+    }
+    doc.context.assign(node.ref, item)
+    return count + 1 + descendants
+  }, 0)
+}
+
+function readOutline (doc) {
+  const pages = doc.getPages()
+  const outline = []
+  const readItems = (item, level) => {
+    while (item) {
+      const dest = item.lookupMaybe(PDFName.of('Dest'), PDFArray)
+      const pageIndex = dest ? _.findIndex(pages, page => page.ref === dest.get(0)) : -1
+      // Items that link elsewhere (e.g. with an action) are not supported
+      if (pageIndex !== -1) {
+        const top = dest.lookupMaybe(3, PDFNumber)
+        outline.push({
+          title: item.lookup(PDFName.of('Title')).decodeText(),
+          level,
+          pageIndex,
+          top: top ? (pages[pageIndex].getHeight() - top.asNumber()) / POINTS_PER_INCH : 0
+        })
+      }
+      readItems(item.lookupMaybe(PDFName.of('First'), PDFDict), level + 1)
+      item = item.lookupMaybe(PDFName.of('Next'), PDFDict)
+    }
+  }
+  const outlines = doc.catalog.lookupMaybe(PDFName.of('Outlines'), PDFDict)
+  readItems(outlines && outlines.lookupMaybe(PDFName.of('First'), PDFDict), 1)
+  return outline
+}
+
+function toPermissions (permissions) {
+  let granted = _.keys(PERMISSIONS)
+  if (!_.isNil(permissions)) {
+    const list = _.isArray(permissions) ? permissions : _.compact(_.map(String(permissions).split(','), _.trim))
+    granted = _.without(list, 'none')
+  }
+  const unknown = _.difference(granted, _.keys(PERMISSIONS))
+  if (unknown.length) {
+    throw new Error(`Unknown permission '${unknown[0]}', expected none or any of: ${_.keys(PERMISSIONS).join(', ')}`)
+  }
+  return _.reduce(PERMISSIONS, (result, permission, name) => {
+    return _.includes(granted, name) ? _.extend(result, permission) : result
+  }, {})
+}
+
+/**
+ * pdf-lib encrypts with the Web Crypto API, which is only global from Node 18
+ * (Electron 22)
+ */
+function ensureWebCrypto () {
+  if (!global.crypto) {
+    global.crypto = crypto.webcrypto
+  }
+}
@@ -0,0 +1,358 @@
+'use strict'
+
+// Node Modules
+const http = require('http')
+const url = require('url')
+
+// Third Party Modules
+const _ = require('lodash')
+const EventEmitter = require('eventemitter2').EventEmitter2
+const minimist = require('minimist')
+const uuid = require('uuid')
+
+const argOptions = require('./options')
+const setLogger = require('./logger').set
+
+// CONSTANTS
+
+const DEFAULT_PORT = 9645
+const DEFAULT_HOST = '127.0.0.1'
+/** Largest request body accepted, in bytes */
+const DEFAULT_MAX_BODY_SIZE = 10 * 1024 * 1024 /* 10MB */
+
+/** Response Content-Type for each supported export type */
+const CONTENT_TYPES = {
+  pdf: 'application/pdf',
+  png: 'image/png',
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  webp: 'image/webp',
+  html: 'text/html; charset=utf-8',
+  mhtml: 'multipart/related',
+  txt: 'text/plain; charset=utf-8',
+  json: 'application/json; charset=utf-8'
+}
+
+const NUMERIC = /^[-+]?(\d+(\.\d*)?|\.\d+)$/
+
+/**
+ * The export args a request can set.  Args that configure the browser, write
+ * files or are read as local file paths (e.g. browserConfig, noprint, css,
+ * headerTemplate, watermarkImage) can only be set when the server is started,
+ * so the watermark of a request is text only.
+ */
+const REQUEST_ARGS = [
+  'acceptLanguage', 'cookie', 'requestHeaders', 'waitForJSEvent', 'outputWait', 'type',
+  'pageSize', 'landscape', 'marginsType', 'margins', 'marginTop', 'marginRight', 'marginBottom', 'marginLeft',
+  'scale', 'pageRanges', 'preferCSSPageSize', 'printBackground', 'printSelectionOnly', 'displayHeaderFooter',
+  'device', 'deviceScaleFactor', 'fullPage', 'quality', 'selector', 'selfContained',
+  'title', 'author', 'subject', 'keywords', 'creator', 'producer', 'metadataFromPage', 'outline',
+  'ownerPassword', 'userPassword', 'permissions',
+  'watermark', 'watermarkOpacity', 'watermarkPosition', 'watermarkRotation',
+  'markdownTheme', 'highlightTheme', 'toc', 'tocDepth', 'tocPageNumbers', 'tocTitle'
+]
+
+/**
+ * An HTTP front end for a charged PDFExporter.  Every request is exported by
+ * an in memory ExportJob and the resulting document is written to the response,
+ * so a single Electron process can serve any number of requests.
+ *
+ * Requests must be a POST to `/` with one of the following bodies:
+ * - `application/json`: `{"url": "...", "args": {...}}` or `{"html": "...", "args": {...}}`
+ *   and an optional `priority` for the exporter's job queue
+ * - `text/html`: the HTML document to export
+ *
+ * Export args can also be passed on the query string
+ * (e.g. `/?pageSize=Letter&landscape`), JSON args take precedence.  Only the
+ * REQUEST_ARGS can be set by a request and urls must be http or https pages
+ * that are not transformed (e.g. markdown, which is converted into a file), so
+ * a request can't read the files of the server.
+ */
+class RenderServer extends EventEmitter {
+  /**
+   * @param {PDFExporter} exporter An exporter that has already been charged
+   * @param {Object} [opts]
+   * @param {Number} [opts.port=9645]
+   * @param {String} [opts.host='127.0.0.1']
+   * @param {Number} [opts.maxBodySize=10MB] requests larger than this (in bytes)
+   *   are rejected with a 413
+   * @param {Object} [opts.args] default export args applied to every request,
+   *   typically the args the `serve` command was started with
+   * @param {Object} [opts.loggers] Allows client to use its own logging implementation
+   */
+  constructor (exporter, opts) {
+    super()
+    this.exporter = exporter
+    this.options = _.extend({
+      port: DEFAULT_PORT,
+      host: DEFAULT_HOST,
+      maxBodySize: DEFAULT_MAX_BODY_SIZE
+    }, _.omitBy(opts, _.isUndefined))
+    this.defaultArgs = this.options.args || minimist([], argOptions)
+    // The HTML bodies being exported, by id, see _resolveInput
+    this.inputs = {}
+    setLogger(this.options.loggers, this)
+  }
+
+  // ***************************************************************************
+  // ************************* Public Functions ********************************
+  // ***************************************************************************
+
+  /**
+   * Starts accepting requests
+   *
+   * @fires RenderServer#listening
+   */
+  start () {
+    this.server = http.createServer(this._handleRequest.bind(this))
+    this.server.listen(this.options.port, this.options.host, () => {
+      const { address, port } = this.server.address()
+      this.info(`Export Server running at http://${address}:${port}`)
+      /**
+       * emitted when the server is accepting requests
+       * @event RenderServer#listening
+       * @type {object}
+       * @property {String} host
+       * @property {Number} port
+       */
+      this.emit('listening', { host: address, port })
+    })
+  }
+
+  stop (cb) {
+    this.info('Stopping export server...')
+    this.server.close(cb)
+  }
+
+  // ***************************************************************************
+  // ************************* Private Functions *******************************
+  // ***************************************************************************
+
+  _handleRequest (req, res) {
+    const reqUrl = url.parse(req.url, true)
+    const input = /^\/input\/([\w-]+)$/.exec(reqUrl.pathname)
+    if (input && req.method === 'GET') {
+      return this._sendInput(res, input[1])
+    }
+    if (reqUrl.pathname !== '/') {
+      return this._sendError(res, 404, `Not Found: ${reqUrl.pathname}`)
+    }
+    if (req.method !== 'POST') {
+      res.setHeader('Allow', 'POST')
+      return this._sendError(res, 405, `Method Not Allowed: ${req.method}`)
+    }
+
+    this._readBody(req, (err, body) => {
+      if (err) {
+        return this._sendError(res, err.statusCode || 400, err.message)
+      }
+      let request
+      try {
+        request = this._parseRequest(req.headers['content-type'], body, reqUrl.query)
+      } catch (e) {
+        return this._sendError(res, e.statusCode || 400, e.message)
+      }
+      this._export(request, res)
+    })
+  }
+
+  _readBody (req, callback) {
+    // An error can follow the end of the request, only one response is sent
+    const cb = _.once(callback)
+    const chunks = []
+    let size = 0
+    let tooLarge = false
+    req.on('data', chunk => {
+      size += chunk.length
+      if (size > this.options.maxBodySize) {
+        tooLarge = true
+      } else {
+        chunks.push(chunk)
+      }
+    })
+    req.on('end', () => {
+      if (tooLarge) {
+        cb(httpError(413, `Request body exceeds ${this.options.maxBodySize} bytes`))
+      } else {
+        cb(null, Buffer.concat(chunks).toString('utf8'))
+      }
+    })
+    req.on('error', cb)
+  }
+
+  /**
+   * Translates the request into the input and args for an export job
+   *
+   * @param {String} contentType The request Content-Type header
+   * @param {String} body
+   * @param {Object} query The parsed query string
+   * @returns {{url: String, html: String, args: Object, type: String, priority: Number}}
+   * @private
+   */
+  _parseRequest (contentType, body, query) {
+    const mimeType = _.trim(_.head(_.split(contentType, ';'))).toLowerCase()
+    let request
+    if (mimeType === 'application/json') {
+      try {
+        request = JSON.parse(body)
+      } catch (e) {
+        throw httpError(400, `Invalid JSON body: ${e.message}`)
+      }
+    } else if (mimeType === 'text/html') {
+      request = { html: body }
+    } else {
+      throw httpError(415, `Unsupported Content-Type: ${contentType}`)
+    }
+
+    if (!_.isString(request.url) && !_.isString(request.html)) {
+      throw httpError(400, 'A "url" or "html" value is required')
+    }
+
+    if (_.isString(request.url) && !/^https?:\/\//i.test(request.url)) {
+      throw httpError(400, `Unsupported url: ${request.url}, expected an http or https URL`)
+    }
+
+    const requestArgs = _.extend(this._argsFromQuery(query), request.args)
+    const unsupported = _.difference(_.keys(requestArgs), REQUEST_ARGS)
+    if (unsupported.length) {
+      throw httpError(400, `Unsupported args: ${unsupported.join(', ')}`)
+    }
+    const args = _.extend({}, this.defaultArgs, requestArgs)
+    const type = args.type || 'pdf'
+    if (!CONTENT_TYPES[type]) {
+      throw httpError(400, `Unsupported type: ${type}`)
+    }
+    if (_.isString(request.url) && this.exporter.source.isTransformed(request.url, args)) {
+      throw httpError(400, `Unsupported url: ${request.url}, transformed inputs (e.g. markdown) can't be exported by the server`)
+    }
+    return { url: request.url, html: request.html, args, type, priority: request.priority }
+  }
+
+  /**
+   * Query string values are strings, so the booleans and numbers are coerced
+   * the same way minimist treats CLI args.  Aliases are resolved to the
+   * full argument name.
+   *
+   * @param {Object} query
+   * @returns {Object}
+   * @private
+   */
+  _argsFromQuery (query) {
+    return _.reduce(query, (args, value, key) => {
+      const name = _.findKey(argOptions.alias, aliases => _.includes([].concat(aliases), key)) || key
+      if (_.includes(argOptions.boolean, name)) {
+        args[name] = value !== 'false'
+      } else {
+        args[name] = _.isArray(value) ? value : (NUMERIC.test(value) ? Number(value) : value)
+      }
+      return args
+    }, {})
+  }
+
+  _export (request, res) {
+    const { args, type, priority } = request
+    const output = `export.${type}`
+    // The files of the server are never embedded in a snapshot
+    const jobOptions = _.omitBy({ inMemory: true, closeWindow: false, fileResources: false, priority }, _.isUndefined)
+
+    this._resolveInput(request, (err, input, cleanup) => {
+      if (err) {
+        return this._sendError(res, 500, err.message)
+      }
+
+      let jobPromise
+      try {
+        jobPromise = this.exporter.createJob(input, output, args, jobOptions)
+      } catch (e) {
+        cleanup()
+        return this._sendError(res, 503, _.isString(e) ? e : e.message)
+      }
+
+      jobPromise.then(job => {
+        job.on('job-complete', r => {
+          cleanup()
+          if (r.error) {
+            this._sendError(res, 500, _.isString(r.error) ? r.error : r.error.message)
+          } else {
+            this._sendDocument(res, type, r.results[0])
+          }
+          process.nextTick(() => job.destroy())
+        })
+        job.render()
+      }).catch(e => {
+        cleanup()
+        // The inputs of requests are not transformed, the job is rejected for its args
+        this._sendError(res, e.code === 'QUEUE_FULL' ? 503 : 400, e.message)
+      })
+    })
+  }
+
+  /**
+   * HTML bodies are served by this server (see _sendInput) while they are
+   * exported, so the page has an http origin rather than a file one, which
+   * could read the files of the server.
+   *
+   * @param request
+   * @param {Function} cb invoked with (err, input, cleanupFn)
+   * @private
+   */
+  _resolveInput (request, cb) {
+    if (_.isString(request.url)) {
+      return cb(null, request.url, _.noop)
+    }
+    const id = uuid()
+    this.inputs[id] = request.html
+    cb(null, `${this._getUrl()}/input/${id}`, () => delete this.inputs[id])
+  }
+
+  /**
+   * @returns {String} the URL of this server, on the loopback interface when
+   *   it listens on all of them
+   * @private
+   */
+  _getUrl () {
+    const { address, family, port } = this.server.address()
+    if (family === 'IPv6' || family === 6) {
+      return `http://[${address === '::' ? '::1' : address}]:${port}`
+    }
+    return `http://${address === '0.0.0.0' ? '127.0.0.1' : address}:${port}`
+  }
+
+  _sendInput (res, id) {
+    const html = this.inputs[id]
+    if (!_.isString(html)) {
+      return this._sendError(res, 404, `Not Found: /input/${id}`)
+    }
+    res.writeHead(200, {
+      'Content-Type': CONTENT_TYPES.html,
+      'Content-Length': Buffer.byteLength(html)
+    })
+    res.end(html)
+  }
+
+  _sendDocument (res, type, data) {
+    res.writeHead(200, {
+      'Content-Type': CONTENT_TYPES[type],
+      'Content-Length': data.length
+    })
+    res.end(data)
+  }
+
+  _sendError (res, statusCode, message) {
+    this.error(`export request failed (${statusCode}):`, message)
+    const body = JSON.stringify({ error: message })
+    res.writeHead(statusCode, {
+      'Content-Type': 'application/json',
+      'Content-Length': Buffer.byteLength(body)
+    })
+    res.end(body)
+  }
+}
+
+function httpError (statusCode, message) {
+  const err = new Error(message)
+  err.statusCode = statusCode
+  return err
+}
+
+module.exports = RenderServer
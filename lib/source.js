@@ -1,55 +1,225 @@
 'use strict'
 
 const _ = require('lodash')
+const fs = require('fs')
 const path = require('path')
+const url = require('url')
 
+const argOptions = require('./options')
 const logger = require('./logger')
 const markdownToHTMLPath = require('./markdown')
+const Template = require('./template')
+const TocBuilder = require('./tocBuilder')
+
+/** The export args the front matter of markdown can set, see _getFrontMatterArgs */
+const FRONT_MATTER_ARGS = ['title', 'author', 'subject', 'keywords', 'pageSize', 'landscape', 'margins', 'scale', 'printBackground']
+
+/** The fields of the template that Chromium fills in, e.g. {pageNumber} */
+const TEMPLATE_FIELD = /\{(date|title|url|pageNumber|totalPages)\}/g
 
 class Source {
+  constructor () {
+    // See register, the built in transformers are tried last
+    this.transformers = []
+    this.register(input => Template.isTemplate(input), (input, args, options) => this._transformTemplate(input, args, options))
+    this.register(['.md', '.markdown'], (input, args) => this._transformMarkdown(input, args))
+  }
+
   /**
    * Given a single URL String or an array of URLs return an array with any
-   * transformations applied (i.e. markdown processor)
+   * transformations applied (i.e. markdown processor, templates, see register)
    *
    * @param input
    * @param args
+   * @param {Object} [options]
+   * @param {Object} [options.data] The data templates are rendered with, which
+   *   takes precedence over the data arg (the path of a JSON file)
    * @returns {Array} of Promises
    */
-  resolve (input, args) {
+  resolve (input, args, options) {
+    return this.resolveInputs(input, args, options).then(inputs => _.map(inputs, 'source'))
+  }
+
+  /**
+   * Like resolve, along with the args of each input: the front matter of
+   * markdown (see _getFrontMatterArgs) and waitForJSEvent for markdown with
+   * diagrams.  The args are not modified.
+   *
+   * @param input
+   * @param args
+   * @param {Object} [options] see resolve
+   * @returns {Promise<Array<{source: String, args: Object}>>} args is
+   *   undefined for inputs that don't set any
+   */
+  resolveInputs (input, args, options) {
     const files = _.isArray(input) ? input : [input]
     // wargs.urlWithArgs(this.markdown(input, args), {})
-    const promises = files.map(i => { return this.markdown(i, args) })
-    return Promise.all(promises)
+    return Promise.all(files.map(i => this._resolveInput(i, args, options || {})))
   }
 
   markdown (input, args) {
-    return new Promise((resolve, reject) => {
-      if (this._isMarkdown(input)) {
-        var opts = {
-          customCss: [].concat(args.css || [])
+    return this._resolveInput(input, args, {}).then(resolved => resolved.source)
+  }
+
+  /**
+   * Registers a transformer of inputs, e.g. AsciiDoc into HTML.  An input is
+   * transformed by the last transformer registered that matches it, so the
+   * built in transformers (markdown and templates) can be replaced.
+   *
+   * @param {String|Array<String>|Function} match The file extensions of the
+   *   inputs (e.g. '.adoc'), which is the extension of the path of URLs, or a
+   *   predicate of the input and args
+   * @param {Function} transform Invoked with the input, args and options (see
+   *   resolve), it returns the path or URL to load, or {source, args} where
+   *   args apply to that input only (see ExportJob options.inputArgs).  It can
+   *   return a Promise of either.
+   * @throws {Error} if the match or transform is not valid
+   */
+  register (match, transform) {
+    const extensions = _.castArray(match)
+    if (!_.isFunction(match) && !(extensions.length && _.every(extensions, _.isString))) {
+      throw new Error(`Invalid transformer match '${match}', expected file extensions or a function`)
+    }
+    if (!_.isFunction(transform)) {
+      throw new Error(`Invalid transformer of '${match}', expected a function`)
+    }
+    if (_.isFunction(match)) {
+      this.transformers.push({ matches: match, transform })
+    } else {
+      const normalized = extensions.map(ext => _.startsWith(ext, '.') ? ext.toLowerCase() : `.${ext.toLowerCase()}`)
+      this.transformers.push({ matches: input => _.includes(normalized, this._getExtension(input)), transform })
+    }
+  }
+
+  /**
+   * @param input
+   * @param args
+   * @returns {Boolean} whether a transformer (see register) matches the input,
+   *   which reads it on this machine, e.g. markdown is converted into a file
+   */
+  isTransformed (input, args) {
+    return _.some(this.transformers, t => t.matches(input, args))
+  }
+
+  _resolveInput (input, args, options) {
+    const transformer = _.findLast(this.transformers, t => t.matches(input, args))
+    if (!transformer) {
+      return Promise.resolve({ source: input })
+    }
+    return Promise.resolve()
+      .then(() => transformer.transform(input, args, options))
+      .then(result => {
+        const resolved = _.isString(result) ? { source: result } : result
+        if (!resolved || !_.isString(resolved.source)) {
+          throw new Error(`The transformer of ${input} did not return a path or URL`)
         }
+        return resolved
+      })
+  }
+
+  _transformTemplate (input, args, options) {
+    return this._getData(args, options)
+      .then(data => Template.render(input, data))
+      .catch(err => {
+        logger('Render template error', err)
+        throw err
+      })
+  }
 
-        // if given a markdown, render it into HTML and return the path of the HTML
-        markdownToHTMLPath(input, opts, (err, tmpHTMLPath) => {
-          if (err) {
-            logger('Parse markdown file error', err)
-            reject(err)
-          }
-          resolve(tmpHTMLPath)
-        })
-      } else {
-        resolve(input)
+  _transformMarkdown (input, args) {
+    return new Promise((resolve, reject) => {
+      var opts = {
+        customCss: [].concat(args.css || []),
+        markdownTheme: args.markdownTheme,
+        highlightTheme: args.highlightTheme,
+        sanitize: args.markdownSanitize,
+        toc: TocBuilder.getToc(args),
+        waitForJSEvent: args.waitForJSEvent
       }
+
+      // if given a markdown, render it into HTML and return the path of the HTML
+      markdownToHTMLPath(input, opts, (err, tmpHTMLPath, document) => {
+        if (err) {
+          logger('Parse markdown file error', err)
+          return reject(err)
+        }
+        const inputArgs = _.extend({}, this._getFrontMatterArgs(document.frontMatter, args))
+        // Diagrams are rendered once the page loads, it dispatches the ready event when they are done
+        if (document.diagrams && !args.waitForJSEvent) {
+          inputArgs.waitForJSEvent = true
+        }
+        resolve({ source: tmpHTMLPath, args: _.isEmpty(inputArgs) ? undefined : inputArgs })
+      })
     })
   }
 
-  _isMarkdown (input) {
-    var isMd = false
-    if (_.isString(input)) {
-      var ext = path.extname(input).toLowerCase()
-      isMd = (ext === '.md') || (ext === '.markdown')
+  /**
+   * @param args
+   * @param {Object} options see resolve
+   * @returns {Promise<Object>} the data of templates, empty if there is none
+   * @private
+   */
+  _getData (args, options) {
+    if (!_.isNil(options.data) || !_.isString(args.data)) {
+      return Promise.resolve(options.data || args.data || {})
+    }
+    return fs.promises.readFile(args.data, 'utf8')
+      .then(JSON.parse)
+      .catch(err => {
+        throw new Error(`Invalid data '${args.data}', expected the path of a JSON file: ${err.message}`)
+      })
+  }
+
+  /**
+   * The front matter takes precedence over the default args but not over the
+   * args that are set.  An arg set to its default (e.g. --pageSize A4) is not
+   * told apart from the default.
+   *
+   * The header and footer are text, where {pageNumber}, {totalPages}, {date},
+   * {title} and {url} are filled in.
+   *
+   * @param {Object} frontMatter
+   * @param {Object} args
+   * @returns {Object} the args of the input, undefined if there are none
+   * @private
+   */
+  _getFrontMatterArgs (frontMatter, args) {
+    const inputArgs = _.pick(frontMatter, FRONT_MATTER_ARGS)
+    if (!_.isNil(frontMatter.header) || !_.isNil(frontMatter.footer)) {
+      _.extend(inputArgs, {
+        displayHeaderFooter: true,
+        headerTemplate: this._toTemplate(frontMatter.header),
+        footerTemplate: this._toTemplate(frontMatter.footer)
+      })
+    }
+    const isSet = name => !_.isNil(args[name]) && !_.isEqual(args[name], argOptions.default[name])
+    const documentArgs = _.omitBy(inputArgs, (value, name) => isSet(name))
+    return _.isEmpty(documentArgs) ? undefined : documentArgs
+  }
+
+  /**
+   * @param {String} [text]
+   * @returns {String} the header or footer template of the text, an empty
+   *   template if there is no text so Chromium doesn't print its own
+   * @private
+   */
+  _toTemplate (text) {
+    const html = _.escape(_.isNil(text) ? '' : String(text)).replace(TEMPLATE_FIELD, '<span class="$1"></span>')
+    return `<div style="font-size: 10px; margin: 0 auto">${html}</div>`
+  }
+
+  /**
+   * @param input
+   * @returns {String} the lower case file extension of a path, or of the path
+   *   of a URL (not its query or hash), empty if it has none
+   * @private
+   */
+  _getExtension (input) {
+    if (!_.isString(input)) {
+      return ''
     }
-    return isMd
+    const file = /^[a-z][a-z0-9+.-]*:\/\//i.test(input) ? url.parse(input).pathname || '' : input
+    return path.extname(file).toLowerCase()
   }
 }
 
@@ -0,0 +1,176 @@
+'use strict'
+
+// Node Modules
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const url = require('url')
+
+// Third Party Modules
+const ejs = require('ejs')
+const Handlebars = require('handlebars')
+const Mustache = require('mustache')
+const uuid = require('uuid')
+
+const logger = require('./logger')
+
+/** The template engine of each file extension */
+const ENGINES = {
+  '.ejs': renderEjs,
+  '.handlebars': renderHandlebars,
+  '.hbs': renderHandlebars,
+  '.mustache': renderMustache
+}
+
+/** A date without a time, which is midnight UTC */
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/
+
+/**
+ * The doctype, comments and html tag at the start of a document, an element
+ * before them would put the page in quirks mode
+ */
+const DOCUMENT_START = /^(?:\s|<!--[^]*?-->|<!doctype[^>]*>)*(?:<html(?:\s[^>]*)?>)?/i
+
+/**
+ * Template inputs are rendered with data into the HTML that is exported, e.g.
+ * an invoice from invoice.hbs and the JSON of the order.
+ *
+ * Each engine has the formatDate and formatCurrency helpers, see createHelpers.
+ */
+module.exports = {
+
+  /** The file extensions of templates */
+  EXTENSIONS: Object.keys(ENGINES),
+
+  /**
+   * @param {String} input
+   * @returns {Boolean} whether the input is a template file, a path or a file
+   *   URL.  Templates are not read from http URLs.
+   */
+  isTemplate (input) {
+    return Boolean(getEngine(input))
+  },
+
+  /**
+   * @param {Object} data
+   * @returns {Object} the helpers, by name.  The locale and currency of the
+   *   data (e.g. {"locale": "de-DE", "currency": "EUR"}) are their defaults.
+   */
+  createHelpers (data) {
+    return createHelpers(data)
+  },
+
+  /**
+   * Renders the template into a file in the system tmp directory.  Its base URL
+   * is the template, so relative stylesheets, images and links resolve as
+   * they would next to the template.
+   *
+   * @param {String} input see isTemplate
+   * @param {Object} data
+   * @returns {Promise<String>} the path of the HTML
+   */
+  render (input, data) {
+    const file = isUrl(input) ? url.fileURLToPath(input) : path.resolve(input)
+    const render = getEngine(input)
+    return fs.promises.readFile(file, 'utf8').then(template => {
+      const html = withBase(render(template, data || {}, file), url.pathToFileURL(file).href)
+      const htmlPath = path.join(os.tmpdir(), `${path.parse(file).name}-${uuid()}.html`)
+      return fs.promises.writeFile(htmlPath, html).then(() => {
+        logger('Rendered template to html:', input, '->', htmlPath)
+        return htmlPath
+      })
+    })
+  }
+}
+
+function getEngine (input) {
+  if (typeof input !== 'string' || (/^[a-z][a-z0-9+.-]*:\/\//i.test(input) && !isUrl(input))) {
+    return undefined
+  }
+  const file = isUrl(input) ? url.parse(input).pathname || '' : input
+  return ENGINES[path.extname(file).toLowerCase()]
+}
+
+function isUrl (input) {
+  return /^file:\/\//i.test(input)
+}
+
+/**
+ * {{formatDate issued}} or {{formatDate issued "long" "en-GB"}}: the style is
+ * a dateStyle of Intl.DateTimeFormat (full, long, medium or short).
+ *
+ * {{formatCurrency total}} or {{formatCurrency total "EUR" "de-DE"}}
+ *
+ * Values that are not a date or a number are left as they are.
+ */
+function createHelpers (data) {
+  const defaults = data || {}
+  return {
+    formatDate (value, style, locale) {
+      const date = value instanceof Date ? value : new Date(value)
+      if (value === null || value === undefined || value === '' || isNaN(date)) {
+        return value === null || value === undefined ? '' : String(value)
+      }
+      return new Intl.DateTimeFormat(locale || defaults.locale, {
+        dateStyle: style || 'medium',
+        // Formatted in UTC so a date is not the day before in the time zones west of it
+        timeZone: typeof value === 'string' && DATE_ONLY.test(value) ? 'UTC' : undefined
+      }).format(date)
+    },
+    formatCurrency (value, currency, locale) {
+      const amount = typeof value === 'string' && value.trim() === '' ? NaN : Number(value)
+      if (value === null || value === undefined || isNaN(amount)) {
+        return value === null || value === undefined ? '' : String(value)
+      }
+      return new Intl.NumberFormat(locale || defaults.locale, {
+        style: 'currency',
+        currency: currency || defaults.currency || 'USD'
+      }).format(amount)
+    }
+  }
+}
+
+function renderHandlebars (template, data) {
+  const handlebars = Handlebars.create()
+  const helpers = createHelpers(data)
+  Object.keys(helpers).forEach(name => {
+    // The last argument of a helper is the options of Handlebars
+    handlebars.registerHelper(name, (...args) => helpers[name](...args.slice(0, -1)))
+  })
+  return handlebars.compile(template)(data)
+}
+
+function renderEjs (template, data, file) {
+  // The filename resolves includes against the template
+  return ejs.render(template, Object.assign(createHelpers(data), data), { filename: file })
+}
+
+/**
+ * Mustache has no arguments, the helpers are sections of the value:
+ * {{#formatDate}}{{issued}}{{/formatDate}}.  They use the defaults of the data.
+ */
+function renderMustache (template, data) {
+  const helpers = createHelpers(data)
+  const sections = {}
+  Object.keys(helpers).forEach(name => {
+    sections[name] = () => (text, render) => helpers[name](render(text).trim())
+  })
+  return Mustache.render(template, Object.assign(sections, data))
+}
+
+/**
+ * @param {String} html
+ * @param {String} baseUrl
+ * @returns {String} the html with a base element, unless it has one.  It is
+ *   the first element of the head, or after the doctype and html tag of a
+ *   document without a head (where it starts the head).
+ */
+function withBase (html, baseUrl) {
+  if (/<base[\s>]/i.test(html)) {
+    return html
+  }
+  const base = `<base href="${baseUrl.replace(/"/g, '&quot;')}">`
+  const head = /<head(\s[^>]*)?>/i.exec(html)
+  const index = head ? head.index + head[0].length : DOCUMENT_START.exec(html)[0].length
+  return html.slice(0, index) + base + html.slice(index)
+}
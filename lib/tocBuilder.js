@@ -0,0 +1,158 @@
+'use strict'
+
+// Third Party Modules
+const _ = require('lodash')
+
+const DEFAULT_DEPTH = 3
+const DEFAULT_TITLE = 'Contents'
+
+/**
+ * The builder is responsible for the table of contents inserted at the start
+ * of a document: a list of links to its headings, nested by level.
+ *
+ * Markdown renders it while converting (see lib/markdown), other pages have it
+ * inserted before they are captured.  Either way renderToc writes the same
+ * markup, which has the data-electron-pdf-toc attribute so a page never gets
+ * a second one.
+ */
+module.exports = {
+
+  /**
+   * @param {object} args
+   * @param {boolean} [args.toc] Whether there is a table of contents
+   * @param {number} [args.tocDepth=3] The lowest heading level listed, 1 - 6
+   * @param {string} [args.tocTitle='Contents']
+   * @param {boolean} [args.tocPageNumbers] Whether the page of each heading is
+   *   listed
+   *
+   * @returns {object} the table of contents to pass to renderToc and
+   *   getInsertScript, undefined if there is none
+   * @throws {Error} if the depth is not a heading level
+   */
+  getToc (args) {
+    if (!args.toc) {
+      return undefined
+    }
+    const depth = _.isNil(args.tocDepth) ? DEFAULT_DEPTH : Number(args.tocDepth)
+    if (!_.isInteger(depth) || depth < 1 || depth > 6) {
+      throw new Error(`Invalid tocDepth '${args.tocDepth}', expected a heading level from 1 to 6`)
+    }
+    return {
+      depth,
+      title: _.isNil(args.tocTitle) ? DEFAULT_TITLE : String(args.tocTitle),
+      pageNumbers: Boolean(args.tocPageNumbers)
+    }
+  },
+
+  /**
+   * @param {Array<Object>} headings in document order
+   * @param {String} headings[].text
+   * @param {Number} headings[].level
+   * @param {String} [headings[].id] The id the heading is linked by
+   * @param {Object} toc see getToc, headings below its depth are left out
+   * @returns {String} the HTML of the table of contents, empty if there are no
+   *   headings
+   */
+  renderToc (headings, toc) {
+    return renderToc(headings, toc)
+  },
+
+  /**
+   * @param {Object} toc see getToc
+   * @returns {String} JavaScript that inserts the table of contents at the
+   *   start of the page, unless it has one.  It returns the offset from the top
+   *   of the document (in CSS pixels) of the heading of each entry, null if the
+   *   heading is not found.
+   */
+  getInsertScript (toc) {
+    return `(${insertToc.toString()})(${JSON.stringify(toc)}, ${renderToc.toString()})`
+  },
+
+  /**
+   * @param {Array<Number|String>} pages The page number of each entry, see
+   *   getInsertScript
+   * @returns {String} JavaScript that writes the page numbers in the table of
+   *   contents
+   */
+  getPageNumbersScript (pages) {
+    return `(${writePageNumbers.toString()})(${JSON.stringify(pages)})`
+  }
+}
+
+/**
+ * Runs in the main process and in the page (see getInsertScript), so it can
+ * only use what both have
+ */
+function renderToc (headings, toc) {
+  const escape = text => String(text).replace(/[&<>"']/g, c => `&#${c.charCodeAt(0)};`)
+  const listed = headings.filter(heading => heading.level <= toc.depth && String(heading.text).trim())
+  if (!listed.length) {
+    return ''
+  }
+  const page = toc.pageNumbers ? '<span class="electron-pdf-toc-page" style="float: right"></span>' : ''
+  const levels = []
+  let html = ''
+  listed.forEach(heading => {
+    if (!levels.length || heading.level > levels[levels.length - 1]) {
+      levels.push(heading.level)
+      html += '<ol>\n'
+    } else {
+      html += '</li>\n'
+      while (levels.length > 1 && heading.level <= levels[levels.length - 2]) {
+        levels.pop()
+        html += '</ol>\n</li>\n'
+      }
+      // A heading above the level of its list (e.g. an h2 after h1 > h3) is in the list
+      levels[levels.length - 1] = heading.level
+    }
+    const text = escape(String(heading.text).replace(/\s+/g, ' ').trim())
+    html += `<li>${heading.id ? `<a href="#${escape(encodeURIComponent(heading.id))}">${text}</a>` : text}${page}`
+  })
+  html += '</li>\n</ol>\n'.repeat(levels.length)
+  return '<nav class="electron-pdf-toc" data-electron-pdf-toc>\n' +
+    (toc.title ? `<p class="electron-pdf-toc-title"><strong>${escape(toc.title)}</strong></p>\n` : '') +
+    html + '</nav>\n'
+}
+
+/**
+ * Runs in the page, see getInsertScript.  Headings without an id are given one
+ * so they can be linked to.
+ */
+function insertToc (toc, render) {
+  if (!document.querySelector('[data-electron-pdf-toc]')) {
+    const used = new Set()
+    const headings = Array.from(document.querySelectorAll('h1, h2, h3, h4, h5, h6'))
+      .filter(h => h.getClientRects().length) // hidden headings are not printed
+      .map(h => {
+        if (!h.id) {
+          const slug = h.textContent.trim().toLowerCase().replace(/[^\wÀ-￿]+/g, '-').replace(/^-+|-+$/g, '') || 'section'
+          let id = slug
+          for (let i = 1; document.getElementById(id) || used.has(id); i++) {
+            id = `${slug}-${i}`
+          }
+          used.add(id)
+          h.id = id
+        }
+        return { level: Number(h.tagName[1]), text: h.textContent, id: h.id }
+      })
+    document.body.insertAdjacentHTML('afterbegin', render(headings, toc))
+  }
+  const nav = document.querySelector('[data-electron-pdf-toc]')
+  return nav ? Array.from(nav.querySelectorAll('li > a[href^="#"]')).map(link => {
+    const heading = document.getElementById(decodeURIComponent(link.hash.slice(1)))
+    return heading ? heading.getBoundingClientRect().top + window.scrollY : null
+  }) : []
+}
+
+/**
+ * Runs in the page, see getPageNumbersScript
+ */
+function writePageNumbers (pages) {
+  const links = document.querySelectorAll('[data-electron-pdf-toc] li > a[href^="#"]')
+  links.forEach((link, index) => {
+    const page = link.parentElement.querySelector(':scope > .electron-pdf-toc-page')
+    if (page) {
+      page.textContent = pages[index]
+    }
+  })
+}
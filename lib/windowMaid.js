@@ -101,6 +101,28 @@ const windowMaid = {
     })
   },
 
+  /**
+   * Pooled windows are reused by many jobs, this decides when a window has
+   * served enough jobs, or its renderer process has grown too large, and it
+   * should be replaced by a fresh window.
+   *
+   * @param {Number} uses The number of jobs the window has been leased to
+   * @param {Number} memory The working set size of the window's renderer process, in MB
+   * @param {Object} limits
+   * @param {Number} [limits.maxUses=Infinity]
+   * @param {Number} [limits.maxMemory=Infinity] in MB
+   * @returns {String|undefined} the reason the window should be recycled
+   * ('maxUses' or 'maxMemory'), undefined if it can be reused
+   */
+  shouldRecycleWindow (uses, memory, limits) {
+    const { maxUses = Infinity, maxMemory = Infinity } = limits
+    if (uses >= maxUses) {
+      return 'maxUses'
+    } else if (memory >= maxMemory) {
+      return 'maxMemory'
+    }
+  },
+
   windowCount () {
     return _.size(windowCache)
   }
@@ -0,0 +1,192 @@
+'use strict'
+
+// Third Party Modules
+const _ = require('lodash')
+const EventEmitter = require('eventemitter2').EventEmitter2
+const electron = require('electron')
+
+const setLogger = require('./logger').set
+const WindowTailor = require('./windowTailor')
+const WindowMaid = require('./windowMaid')
+
+const DEFAULT_MAX_USES = 100
+
+/**
+ * Keeps a number of browser windows open and ready so jobs don't have to wait
+ * for a new window (and renderer process) to start.  A job leases a window
+ * for the duration of its export and releases it when done, the window is
+ * then reset and made available to the next job.
+ *
+ * Windows are replaced by fresh ones once they have been used too often or
+ * their renderer process uses too much memory (see WindowMaid.shouldRecycleWindow).
+ */
+class WindowPool extends EventEmitter {
+  /**
+   * @param {Object} opts
+   * @param {Number} opts.windowPoolSize The number of windows to keep open
+   * @param {Number} [opts.windowMaxUses=100] The number of jobs a window is leased
+   *   to before it is replaced
+   * @param {Number} [opts.windowMaxMemory=Infinity] The renderer process memory,
+   *   in MB, at which a window is replaced
+   * @param {String} opts.pageSize The page size windows are created with and
+   *   reset to
+   * @param {Function} createWindowFn Creates a new BrowserWindow
+   */
+  constructor (opts, createWindowFn) {
+    super()
+    this.size = opts.windowPoolSize
+    this.limits = {
+      maxUses: opts.windowMaxUses || DEFAULT_MAX_USES,
+      maxMemory: opts.windowMaxMemory || Infinity
+    }
+    this.pageSize = opts.pageSize
+    this.createWindowFn = createWindowFn
+    // All windows owned by the pool, by window id
+    this.windows = {}
+    this.idle = []
+    setLogger(opts.loggers, this)
+  }
+
+  // ***************************************************************************
+  // ************************* Public Functions ********************************
+  // ***************************************************************************
+
+  /**
+   * Opens windows until the pool is full.  The Electron app must be ready.
+   */
+  fill () {
+    while (_.size(this.windows) < this.size) {
+      this.idle.push(this._createWindow())
+    }
+  }
+
+  /**
+   * @returns {BrowserWindow} an idle window, or a new one if every window is leased
+   */
+  lease () {
+    let entry = this.idle.shift()
+    while (entry && entry.window.isDestroyed()) {
+      delete this.windows[entry.id]
+      entry = this.idle.shift()
+    }
+    entry = entry || this._createWindow()
+    entry.uses++
+    entry.leased = true
+    return entry.window
+  }
+
+  /**
+   * Returns a leased window to the pool
+   *
+   * @param {BrowserWindow} window
+   * @param {boolean} [discard=false] true if the window must not be reused (e.g. it was hung)
+   * @returns {Promise} fulfilled when the window is idle or has been closed
+   */
+  release (window, discard) {
+    const entry = this.windows[window.id]
+    if (!entry || !entry.leased) {
+      return Promise.resolve()
+    }
+    entry.leased = false
+    WindowMaid.removeWindow(window.id)
+
+    const reason = discard ? 'discarded' : this._recycleReason(entry)
+    if (reason || _.size(this.idle) >= this.size) {
+      this._closeWindow(entry, reason || 'overflow')
+      return Promise.resolve()
+    }
+
+    return WindowTailor.resetWindow(window, entry.defaults).then(() => {
+      this.idle.push(entry)
+    }).catch(err => {
+      this.error('unable to reset pooled window, closing it:', err)
+      this._closeWindow(entry, 'error')
+    })
+  }
+
+  /**
+   * Closes every idle window, leased windows are closed when released
+   */
+  destroy () {
+    this.size = 0
+    _.clone(this.idle).forEach(entry => this._closeWindow(entry, 'shutdown'))
+  }
+
+  // ***************************************************************************
+  // ************************* Private Functions *******************************
+  // ***************************************************************************
+
+  /**
+   * @fires WindowPool#pool.window.created
+   * @private
+   */
+  _createWindow () {
+    const window = this.createWindowFn()
+    const { session } = window.webContents
+    const entry = {
+      id: window.id,
+      window,
+      uses: 0,
+      leased: false,
+      // Restored by WindowTailor.resetWindow after each use
+      defaults: {
+        pageSize: this.pageSize,
+        userAgent: session.getUserAgent(),
+        acceptLanguage: _.invoke(electron, 'app.getLocale')
+      }
+    }
+    this.windows[window.id] = entry
+    /**
+     * @event WindowPool#pool.window.created
+     * @type {object}
+     * @property {Number} id - The window id
+     */
+    this.emit('pool.window.created', { id: window.id })
+    return entry
+  }
+
+  /**
+   * @fires WindowPool#pool.window.closed
+   * @private
+   */
+  _closeWindow (entry, reason) {
+    const { id, window, uses } = entry
+    delete this.windows[id]
+    _.pull(this.idle, entry)
+    /**
+     * @event WindowPool#pool.window.closed
+     * @type {object}
+     * @property {Number} id - The window id
+     * @property {Number} uses - The number of jobs the window was leased to
+     * @property {String} reason - maxUses, maxMemory, destroyed, discarded, overflow, error or shutdown
+     */
+    this.emit('pool.window.closed', { id, uses, reason })
+    if (!window.isDestroyed()) {
+      window.close()
+    }
+    // Replace the window, unless the pool is being shut down
+    this.fill()
+  }
+
+  _recycleReason (entry) {
+    if (entry.window.isDestroyed()) {
+      return 'destroyed'
+    }
+    return WindowMaid.shouldRecycleWindow(entry.uses, this._rendererMemory(entry.window), this.limits)
+  }
+
+  /**
+   * @returns {Number} the working set size of the window's renderer process, in MB
+   * @private
+   */
+  _rendererMemory (window) {
+    if (!electron.app) { // Not available for tests
+      return 0
+    }
+    const pid = window.webContents.getOSProcessId()
+    const metric = _.find(electron.app.getAppMetrics(), { pid })
+    return metric ? metric.memory.workingSetSize / 1024 : 0
+  }
+}
+
+module.exports = WindowPool
@@ -1,9 +1,68 @@
+// Third Party Modules
+const _ = require('lodash')
+
 /** Used to calculate browser dimensions based on PDF size */
 const HTML_DPI = 96 // dots per inch (HTML:96), PDF:72
 
 /** Used to determine browser size using a Micron -> Inch -> Pixel conversion */
 const MICRONS_INCH_RATIO = 25400
 
+/** The paper sizes supported by Electron's printToPDF, in microns */
+const PAPER_SIZES = {
+  'A3': { width: 297000, height: 420000 },
+  'A4': { width: 210000, height: 297000 },
+  'A5': { width: 148000, height: 210000 },
+  'Letter': { width: 215900, height: 279400 },
+  'Legal': { width: 215900, height: 355600 },
+  'Tabloid': { width: 279400, height: 431800 }
+}
+
+/** The length units accepted for margins, per inch */
+const UNITS_PER_INCH = {
+  'in': 1,
+  'cm': 2.54,
+  'mm': 25.4,
+  'px': HTML_DPI
+}
+
+/** The margin args that override a single side of the `margins` arg */
+const MARGIN_SIDE_ARGS = {
+  top: 'marginTop',
+  right: 'marginRight',
+  bottom: 'marginBottom',
+  left: 'marginLeft'
+}
+
+/**
+ * The devices that can be emulated.  The viewport is in browser pixels, a
+ * device without a userAgent keeps the user agent of the session.
+ */
+const DEVICES = {
+  'phone': {
+    width: 390,
+    height: 844,
+    deviceScaleFactor: 3,
+    mobile: true,
+    touch: true,
+    userAgent: 'Mozilla/5.0 (iPhone; CPU iPhone OS 16_0 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/16.0 Mobile/15E148 Safari/604.1'
+  },
+  'tablet': {
+    width: 820,
+    height: 1180,
+    deviceScaleFactor: 2,
+    mobile: true,
+    touch: true,
+    userAgent: 'Mozilla/5.0 (iPad; CPU OS 16_0 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/16.0 Mobile/15E148 Safari/604.1'
+  },
+  'desktop': {
+    width: 1440,
+    height: 900,
+    deviceScaleFactor: 1,
+    mobile: false,
+    touch: false
+  }
+}
+
 /**
  * The tailor is responsible for all the sizing and layout of the window
  */
@@ -12,6 +71,9 @@ module.exports = {
   /** Used to calculate browser dimensions based on PDF size */
   HTML_DPI: HTML_DPI,
 
+  /** The names of the devices that can be emulated */
+  DEVICES: _.keys(DEVICES),
+
   /**
    * Sets the window size based on the pageSize and orientations
    * If the window size has not changed no action will be taken.
@@ -20,11 +82,12 @@ module.exports = {
    * @param {string} pageSize One of the Electron supported sizes
    * @param {boolean} landscape true if the windows should be in landscape
    *   orientations
+   * @param {object} [layout] see getPrintableDimensions
    *
    * @returns {{dimensions: (*|{x: {number}, y: {number}})}} if the window was resized, undefined otherwise
    */
-  setWindowDimensions (window, pageSize, landscape) {
-    const pageDim = this.getPageDimensions(pageSize, landscape)
+  setWindowDimensions (window, pageSize, landscape, layout) {
+    const pageDim = this.getPrintableDimensions(pageSize, landscape, layout)
     var size = window.getSize()
     if (size[0] !== pageDim.x || size[1] !== pageDim.y) {
       window.setSize(pageDim.x, pageDim.y)
@@ -32,6 +95,190 @@ module.exports = {
     }
   },
 
+  /**
+   * Returns a window that was used for an export to the state it was created
+   * in, so it can be reused for another export: the default size, no device
+   * emulation, an empty session (cookies, storage and cache) and a blank page.
+   *
+   * @param {object} Electron browser window object
+   * @param {object} defaults
+   * @param {string} defaults.pageSize The page size the window was created for
+   * @param {string} defaults.userAgent The user agent of the window's session
+   * @param {string} defaults.acceptLanguage The Accept-Language of the window's session
+   *
+   * @returns {Promise} fulfilled when the window can be reused
+   */
+  resetWindow (window, defaults) {
+    const { pageSize, userAgent, acceptLanguage } = defaults
+    this.setWindowDimensions(window, pageSize, false)
+    const { session, debugger: devTools } = window.webContents
+    // Detaching ends any device emulation
+    if (devTools && devTools.isAttached()) {
+      devTools.detach()
+    }
+    session.setUserAgent(userAgent, acceptLanguage)
+    return Promise.all([session.clearStorageData(), session.clearCache()])
+      .then(() => window.webContents.loadURL('about:blank'))
+  },
+
+  /**
+   * The size of the PDF paper, used when printing through the DevTools protocol
+   * which expects the paper size in inches rather than a named size.
+   *
+   * @param {string|object} pageSize One of the Electron supported sizes or an
+   *   Object containing height and width in microns
+   * @returns {{width: {number}, height: {number}}} portrait size, in inches
+   */
+  getPaperSize (pageSize) {
+    const microns = typeof pageSize === 'object' ? pageSize : PAPER_SIZES[pageSize]
+    return {
+      width: microns.width / MICRONS_INCH_RATIO,
+      height: microns.height / MICRONS_INCH_RATIO
+    }
+  },
+
+  /**
+   * The margins explicitly provided by the `margins` arg (CSS shorthand, one to
+   * four lengths for top, right, bottom and left) and the `marginTop`,
+   * `marginRight`, `marginBottom` and `marginLeft` args, which take precedence.
+   *
+   * @param {object} args
+   * @returns {{top: {number}, right: {number}, bottom: {number}, left: {number}}}
+   *   in inches, only the sides that were provided are included
+   * @throws {Error} if a margin is not a valid length
+   */
+  getMargins (args) {
+    const margins = {}
+    if (!_.isNil(args.margins)) {
+      const values = _.compact(String(args.margins).split(/[\s,]+/))
+      if (values.length < 1 || values.length > 4) {
+        throw new Error(`Invalid margins '${args.margins}', expected one to four lengths`)
+      }
+      const [top, right = top, bottom = top, left = right] = values
+      _.extend(margins, { top, right, bottom, left })
+    }
+    _.forEach(MARGIN_SIDE_ARGS, (arg, side) => {
+      if (!_.isNil(args[arg])) {
+        margins[side] = args[arg]
+      }
+    })
+    return _.mapValues(margins, value => this.toInches(value))
+  },
+
+  /**
+   * @param {string|number} length a number with a unit of mm, cm, in or px
+   *   (e.g. '10mm'), numbers without a unit are pixels
+   * @returns {number} the length in inches
+   * @throws {Error} if the length is not valid
+   */
+  toInches (length) {
+    const match = /^(\d*\.?\d+)\s*(in|cm|mm|px)?$/.exec(_.trim(length))
+    if (!match) {
+      throw new Error(`Invalid length '${length}', expected a number with a unit of mm, cm, in or px`)
+    }
+    return parseFloat(match[1]) / UNITS_PER_INCH[match[2] || 'px']
+  },
+
+  /**
+   * The browser pixels of the area the content is printed in, which is the
+   * page less its margins.  Content is laid out at the print scale, so a
+   * smaller scale fits more content into the same area.
+   *
+   * @param pageSize
+   * @param landscape
+   * @param {object} [layout]
+   * @param {object} [layout.margins] in inches, see getMargins
+   * @param {number} [layout.scale=1] the print scale factor
+   * @param {object} [layout.viewport] the width and height of an emulated
+   *   device (see getDevice), which replace the page dimensions
+   * @returns {{x: {number}, y: {number}}}
+   */
+  getPrintableDimensions (pageSize, landscape, layout) {
+    const { margins = {}, scale = 1, viewport } = layout || {}
+    if (viewport) {
+      return { x: viewport.width, y: viewport.height }
+    }
+    const pageDim = this.getPageDimensions(pageSize, landscape)
+    if (_.isEmpty(margins) && scale === 1) {
+      return pageDim
+    }
+
+    const marginPixels = (a, b) => ((margins[a] || 0) + (margins[b] || 0)) * HTML_DPI
+    return {
+      x: Math.max(1, Math.floor((pageDim.x - marginPixels('left', 'right')) / scale)),
+      y: Math.max(1, Math.floor((pageDim.y - marginPixels('top', 'bottom')) / scale))
+    }
+  },
+
+  /**
+   * The smallest page that fits content of the given size on a single page
+   *
+   * @param {{width: {number}, height: {number}}} dimensions The size of the
+   *   content, in browser pixels
+   * @param {object} layout
+   * @param {object} layout.margins in inches, see getMargins
+   * @param {number} layout.scale the print scale factor
+   * @returns {{width: {number}, height: {number}}} the page size, in microns
+   */
+  getPageSizeToFit (dimensions, layout) {
+    const { margins, scale } = layout
+    const toMicrons = (pixels, marginA, marginB) => {
+      const inches = pixels * scale / HTML_DPI + (margins[marginA] || 0) + (margins[marginB] || 0)
+      return Math.ceil(inches * MICRONS_INCH_RATIO)
+    }
+    return {
+      width: toMicrons(dimensions.width, 'left', 'right'),
+      height: toMicrons(dimensions.height, 'top', 'bottom')
+    }
+  },
+
+  /**
+   * The device to emulate, from a preset named by the `device` arg (see
+   * DEVICES) and/or the `deviceScaleFactor` arg, which takes precedence over
+   * the preset.  Images are captured at the device scale factor, so a factor
+   * of 2 doubles their resolution.
+   *
+   * @param {object} args
+   * @param {string} [args.device] One of DEVICES
+   * @param {number} [args.deviceScaleFactor]
+   * @returns {object} the width and height of the viewport (undefined keeps
+   *   the window size), deviceScaleFactor, mobile, touch and userAgent;
+   *   undefined if no device is emulated
+   * @throws {Error} if the device is unknown or the scale factor is not positive
+   */
+  getDevice (args) {
+    if (!args.device && _.isNil(args.deviceScaleFactor)) {
+      return undefined
+    }
+    const preset = args.device ? DEVICES[args.device] : {}
+    if (!preset) {
+      throw new Error(`Invalid device '${args.device}', expected one of: ${_.keys(DEVICES).join(', ')}`)
+    }
+    const deviceScaleFactor = _.isNil(args.deviceScaleFactor) ? preset.deviceScaleFactor || 1 : Number(args.deviceScaleFactor)
+    if (!(deviceScaleFactor > 0)) {
+      throw new Error(`Invalid deviceScaleFactor '${args.deviceScaleFactor}', expected a positive number`)
+    }
+    return _.extend({ mobile: false, touch: false }, preset, { deviceScaleFactor })
+  },
+
+  /**
+   * Divides a page into segments that can each be captured at once
+   *
+   * @param {number} height The height of the page, in CSS pixels
+   * @param {number} maxHeight The tallest segment, in device pixels
+   * @param {number} [scale=1] The device pixels of each CSS pixel
+   * @returns {Array<{y: {number}, height: {number}}>} from top to bottom, in
+   *   CSS pixels
+   */
+  getCaptureSegments (height, maxHeight, scale) {
+    const segments = []
+    const step = Math.max(1, Math.floor(maxHeight / (scale || 1)))
+    for (let y = 0; y < height; y += step) {
+      segments.push({ y, height: Math.min(step, height - y) })
+    }
+    return segments.length ? segments : [{ y: 0, height: 1 }]
+  },
+
   /**
    * Translates PDF output size into the browser pixels required to
    * match that size/aspect-ration.
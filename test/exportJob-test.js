@@ -1,10 +1,17 @@
 import test from 'ava'
 
+import fs from 'fs'
+import path from 'path'
+import url from 'url'
+
 import _ from 'lodash'
 
 import validator from 'validator'
+import { PDFDocument } from '@cantoo/pdf-lib'
 
 import ExportJob from '../lib/exportJob'
+import PdfBinder from '../lib/pdfBinder'
+import WindowMaid from '../lib/windowMaid'
 
 let job, args, options
 
@@ -47,6 +54,35 @@ test('constructor_orientations is portrait when landscape is not set', t => {
   t.deepEqual(job.orientations, ['portrait'])
 })
 
+test('constructor_orientations derived from the landscape arg of each input', t => {
+  const inputArgs = [{ landscape: true }, undefined, { landscape: false }]
+  let job = new ExportJob(['a', 'b', 'c'], '', { landscape: true }, { inputArgs })
+  t.deepEqual(job.orientations, ['landscape', 'landscape', 'portrait'])
+})
+
+test('constructor_invalid margins of an input', t => {
+  const inputArgs = [{ margins: 'wide' }]
+  t.throws(() => new ExportJob(['a'], '', { pageSize: 'A4' }, { inputArgs }), /Invalid length 'wide'/)
+})
+
+test('initializeWindowForResource_applies the args of the input', t => {
+  const inputArgs = [{ pageSize: 'Letter', title: 'First' }]
+  let job = new ExportJob(['a', 'b'], '', { pageSize: 'A4', title: 'Job' }, { inputArgs })
+  let size = []
+  job.window = { id: 'initialize', getSize: () => size, setSize: (x, y) => { size = [x, y] } }
+  WindowMaid.registerOpenWindow(job)
+
+  job._initializeWindowForResource(false, 0)
+  job.changeArgValue('title', 'Changed')
+  t.deepEqual(_.pick(job.args, 'pageSize', 'title'), { pageSize: 'Letter', title: 'Changed' })
+  const letter = size
+
+  job._initializeWindowForResource(false, 1)
+  t.deepEqual(_.pick(job.args, 'pageSize', 'title'), { pageSize: 'A4', title: 'Job' })
+  t.notDeepEqual(size, letter)
+  WindowMaid.removeWindow(job.window.id)
+})
+
 // BrowserWindow Options
 test('getBrowserConfiguration_sessionPartitionForCookies', t => {
   const args = _.extend({ cookies: [] }, options)
@@ -63,6 +99,66 @@ test('getBrowserConfiguration_SessionPartitionWithoutCookies', t => {
   t.true(validator.isUUID(partition), 'partition should be a UUID')
 })
 
+test('getBrowserConfiguration_sizedForDevice', t => {
+  t.is(job._getBrowserConfiguration(_.extend({ device: 'phone' }, options)).width, 390)
+  const config = job._getBrowserConfiguration(_.extend({ device: 'phone', browserConfig: '{"height":600}' }, options))
+  t.is(config.height, 600)
+})
+
+test('defaultBrowserConfiguration_sizedForPage', t => {
+  const config = ExportJob.defaultBrowserConfiguration({ pageSize: 'Letter', partition: 'p1' })
+  t.is(config.width, 816)
+  t.is(config.height, 1056)
+  t.is(config.webPreferences.partition, 'p1')
+  t.false(config.webPreferences.nodeIntegration)
+})
+
+// Window Pool
+test('usesWindowPool_only when the exporter has a pool', t => {
+  t.false(job._usesWindowPool())
+  job.windowPool = {}
+  t.true(job._usesWindowPool())
+})
+
+test('usesWindowPool_not for custom windows', t => {
+  job.windowPool = {}
+  job.args.browserConfig = '{"show":true}'
+  t.false(job._usesWindowPool())
+})
+
+test('closeWindow_releases a leased window', t => {
+  const released = []
+  const win = { isDestroyed: () => false, close: () => t.fail('pooled windows are not closed') }
+  job.windowPool = {
+    lease: () => win,
+    release: (w, discard) => released.push([w, discard])
+  }
+  job.window = win
+  job.leasedWindow = true
+  job._closeWindow(win)
+  // e.g. the client destroys the job after it is complete
+  job.destroy()
+  t.deepEqual(released, [[win, undefined]])
+  t.is(job.window, undefined)
+})
+
+test('closeWindow_removes the job listeners from the window', t => {
+  const removed = []
+  const win = {
+    isDestroyed: () => false,
+    close: () => {},
+    webContents: {
+      on: () => {},
+      once: () => {},
+      removeListener: (event) => removed.push(event)
+    }
+  }
+  job._addWebContentsListener(win, 'dom-ready', () => {})
+  job._addWebContentsListener(win, 'did-finish-load', () => {}, true)
+  job._closeWindow(win)
+  t.deepEqual(removed, ['dom-ready', 'did-finish-load'])
+})
+
 // File Generation
 test('getTargetFile', t => {
   const fileName = job._getTargetFile({ inputIndex: 2 })
@@ -95,6 +191,435 @@ test('getTargetFile_png_override_single', t => {
   t.is(fileName, 'output.png')
 })
 
+test('getTargetFile_image type override', t => {
+  job = new ExportJob(['input1'], 'output.pdf', args, options)
+  t.is(job._getTargetFile({ inputIndex: 0, type: 'webp' }), 'output.webp')
+  t.is(job._getTargetFile({ inputIndex: 0, type: 'jpg' }), 'output.jpg')
+  t.is(job._getTargetFile({ inputIndex: 0, type: 'txt' }), 'output.txt')
+  t.is(job._getTargetFile({ inputIndex: 0, type: 'foo' }), 'output.pdf')
+})
+
+// Output Types
+test('getOutputTypes_from the type arg or the context', t => {
+  t.deepEqual(job._getOutputTypes({}), [undefined])
+  job.args.type = 'pdf, PNG,html,pdf'
+  t.deepEqual(job._getOutputTypes({}), ['pdf', 'png', 'html'])
+  t.deepEqual(job._getOutputTypes({ type: ['webp', 'txt'] }), ['webp', 'txt'])
+})
+
+test('constructor_invalid type', t => {
+  t.throws(() => new ExportJob(['a'], 'output.pdf', { type: 'pdf,gif' }, options), /Invalid type 'gif'/)
+})
+
+test('isMerging_only PDF types', t => {
+  t.true(new ExportJob(['a', 'b'], 'output.pdf', { merge: true, type: 'pdf' }, options)._isMerging())
+  t.false(new ExportJob(['a', 'b'], 'output.pdf', { merge: true, type: 'pdf,png' }, options)._isMerging())
+})
+
+test('generateOutput_each type from one load, in order', async t => {
+  const captured = []
+  const stamped = []
+  job.args.pageSize = 'Letter'
+  job.window = { getSize: () => [816, 1056] }
+  job._stampWindow = (window, file) => {
+    stamped.push(file)
+    return Promise.resolve()
+  }
+  job._captureFile = (window, file, done) => {
+    captured.push(file)
+    done(null, `data:${file}`)
+  }
+  const results = await new Promise((resolve, reject) => {
+    job._generateOutput({ window: job.window }, ['output.pdf', 'output.png', 'output.html'], (err, results) => {
+      return err ? reject(err) : resolve(results)
+    })
+  })
+  t.deepEqual(captured, ['output.html', 'output.png', 'output.pdf'])
+  t.deepEqual(stamped, ['output.png'])
+  t.deepEqual(results, ['data:output.pdf', 'data:output.png', 'data:output.html'])
+})
+
+test('generateOutput_a single file has a single result', async t => {
+  job.args.pageSize = 'Letter'
+  job.window = { getSize: () => [816, 1056] }
+  job._stampWindow = () => Promise.resolve()
+  job._captureFile = (window, file, done) => done(null, file)
+  const result = await new Promise(resolve => {
+    job._generateOutput({ window: job.window }, 'output.pdf', (err, result) => resolve(err || result))
+  })
+  t.is(result, 'output.pdf')
+})
+
+test('generateOutput_stops at the first error', async t => {
+  job.args.pageSize = 'Letter'
+  job.window = { getSize: () => [816, 1056] }
+  job._stampWindow = () => Promise.resolve()
+  const captured = []
+  job._captureFile = (window, file, done) => {
+    captured.push(file)
+    done(new Error('capture failed'))
+  }
+  const error = await new Promise(resolve => {
+    job._generateOutput({ window: job.window }, ['output.txt', 'output.pdf'], err => resolve(err))
+  })
+  t.is(error.message, 'capture failed')
+  t.deepEqual(captured, ['output.txt'])
+})
+
+test('generateOutput_an error of the done function is a job error', async t => {
+  job.args.pageSize = 'Letter'
+  job.window = { getSize: () => [816, 1056] }
+  job._stampWindow = () => Promise.resolve()
+  job._captureFile = (window, file, done) => done(null, file)
+  const event = await new Promise(resolve => {
+    job.once('job.error', resolve)
+    job._generateOutput({ window: job.window }, 'output.pdf', () => { throw new Error('listener failed') })
+  })
+  t.is(event.error.message, 'listener failed')
+})
+
+// Images
+test('getImageFormat_by extension', t => {
+  t.is(job._getImageFormat('output.PNG'), 'png')
+  t.is(job._getImageFormat('output.jpg'), 'jpeg')
+  t.is(job._getImageFormat('output.jpeg'), 'jpeg')
+  t.is(job._getImageFormat('output.webp'), 'webp')
+  t.is(job._getImageFormat('output.pdf'), undefined)
+})
+
+test('getImageQuality_default and range', t => {
+  t.is(job._getImageQuality(), 90)
+  job.args.quality = 55.4
+  t.is(job._getImageQuality(), 55)
+  job.args.quality = 150
+  t.is(job._getImageQuality(), 100)
+})
+
+test('capturePage_jpeg with quality', async t => {
+  args.quality = 40
+  const window = {
+    webContents: {
+      capturePage: () => Promise.resolve({ toJPEG: quality => Buffer.from(`jpeg ${quality}`) })
+    }
+  }
+  t.is((await job._capturePage(window, 'jpeg')).toString(), 'jpeg 40')
+})
+
+test('captureHtml_writes the html of the page', async t => {
+  job.options.inMemory = true
+  const window = {
+    webContents: { executeJavaScript: script => Promise.resolve(`<html>${script}</html>`) }
+  }
+  const data = await new Promise((resolve, reject) => {
+    job._captureHtml(window, 'output.html', (err, data) => err ? reject(err) : resolve(data))
+  })
+  t.is(data.toString(), '<html>document.documentElement.outerHTML</html>')
+})
+
+test('captureText_the rendered text', async t => {
+  job.options.inMemory = true
+  let script
+  const window = {
+    webContents: {
+      executeJavaScript (js) {
+        script = js
+        return Promise.resolve('Hello\nWorld')
+      }
+    }
+  }
+  const data = await new Promise((resolve, reject) => {
+    job._captureText(window, 'output.txt', (err, data) => err ? reject(err) : resolve(data))
+  })
+  t.is(data.toString(), 'Hello\nWorld')
+  t.regex(script, /innerText/)
+})
+
+test('captureContent_json', async t => {
+  job.options.inMemory = true
+  let script
+  const content = { title: 'Page', headings: [{ level: 1, text: 'Hello' }], links: [], blocks: [] }
+  const window = {
+    webContents: {
+      executeJavaScript (js) {
+        script = js
+        return Promise.resolve(content)
+      }
+    }
+  }
+  const data = await new Promise((resolve, reject) => {
+    job._captureContent(window, 'output.json', (err, data) => err ? reject(err) : resolve(data))
+  })
+  t.deepEqual(JSON.parse(data.toString()), content)
+  t.notThrows(() => new Function(script)) // eslint-disable-line no-new-func
+})
+
+test('isContentFormat_by extension', t => {
+  t.true(job._isContentFormat('a/b.TXT'))
+  t.true(job._isContentFormat('b.json'))
+  t.false(job._isContentFormat('b.pdf'))
+  t.false(new ExportJob(['a', 'b'], 'output.json', { merge: true }, options)._isMerging())
+})
+
+test('captureMhtml_in memory', async t => {
+  job.options.inMemory = true
+  let saved
+  const window = {
+    webContents: {
+      savePage (file, type) {
+        saved = file
+        t.is(type, 'MHTML')
+        fs.writeFileSync(file, 'archive')
+        return Promise.resolve()
+      }
+    }
+  }
+  const data = await new Promise((resolve, reject) => {
+    job._captureMhtml(window, 'output.mhtml', (err, data) => err ? reject(err) : resolve(data))
+  })
+  t.is(data.toString(), 'archive')
+  t.false(fs.existsSync(saved), 'the temporary file is removed')
+})
+
+test('fetchResource_local files', async t => {
+  const file = path.join(__dirname, 'watermark.svg')
+  const resource = await job._fetchResource({}, url.pathToFileURL(file).href)
+  t.is(resource.type, 'image/svg+xml')
+  t.true(resource.data.equals(fs.readFileSync(file)))
+})
+
+test('fetchResource_not local files of an input that is not a file', async t => {
+  const remoteJob = new ExportJob(['https://example.com/page.html'], 'output.html', {}, options)
+  await t.throws(remoteJob._fetchResource({}, 'file:///etc/passwd'), 'file:///etc/passwd is a file and the input is not')
+
+  // e.g. markdown from a url, which is transformed into a file
+  const transformedJob = new ExportJob(['/tmp/guide.html'], 'output.html', {}, _.extend({ fileResources: [false] }, options))
+  await t.throws(transformedJob._fetchResource({}, 'file:///etc/passwd'), /is a file and the input is not/)
+})
+
+test('hasFileResources_for each input or all of them', t => {
+  const files = ['a.html', 'file:///b.html', 'https://example.com/c.html', 'C:\\d.html']
+  t.deepEqual(files.map((f, i) => new ExportJob(files, 'output.html', {}, options)._hasFileResources(i)), [true, true, false, true])
+  t.false(new ExportJob(files, 'output.html', {}, { fileResources: false })._hasFileResources(1))
+  t.true(new ExportJob(files, 'output.html', {}, { fileResources: [false, true] })._hasFileResources(1))
+})
+
+test('isMerging_not for mhtml', t => {
+  t.false(new ExportJob(['a', 'b'], 'output.mhtml', { merge: true }, options)._isMerging())
+})
+
+test('capturePage_png through DevTools for an emulated device', async t => {
+  job.args.deviceScaleFactor = 2
+  const commands = []
+  const window = fakeScreenshotWindow(null, commands)
+  t.is((await job._capturePage(window, 'png')).toString(), 'png')
+  t.deepEqual(commands, [{ format: 'png' }])
+})
+
+test('emulateDevice_until the window is closed', async t => {
+  job.args.device = 'phone'
+  job.args.acceptLanguage = 'fr'
+  const calls = []
+  let attached = false
+  const window = {
+    webContents: {
+      debugger: {
+        isAttached: () => attached,
+        attach () { attached = true },
+        detach () { attached = false },
+        sendCommand (method, params) {
+          calls.push([method, params])
+          return Promise.resolve({})
+        }
+      }
+    }
+  }
+  await job._emulateDevice(window)
+  t.true(attached)
+  t.deepEqual(calls.map(call => call[0]), [
+    'Emulation.setDeviceMetricsOverride',
+    'Emulation.setTouchEmulationEnabled',
+    'Emulation.setUserAgentOverride'
+  ])
+  t.deepEqual(calls[0][1], { width: 390, height: 844, deviceScaleFactor: 3, mobile: true })
+  t.is(calls[2][1].acceptLanguage, 'fr')
+})
+
+test('emulateDevice_nothing by default', async t => {
+  await job._emulateDevice({})
+  t.pass()
+})
+
+test('constructor_invalid device', t => {
+  t.throws(() => new ExportJob(['a'], 'output.png', { device: 'watch' }, options), /Invalid device/)
+})
+
+test('capturePage_webp through DevTools', async t => {
+  let command
+  const window = {
+    webContents: {
+      debugger: {
+        isAttached: () => true,
+        sendCommand (method, params) {
+          command = { method, params }
+          return Promise.resolve({ data: Buffer.from('webp').toString('base64') })
+        }
+      }
+    }
+  }
+  t.is((await job._capturePage(window, 'webp')).toString(), 'webp')
+  t.deepEqual(command, { method: 'Page.captureScreenshot', params: { format: 'webp', quality: 90 } })
+})
+
+test('captureFullPage_captures beyond the window', async t => {
+  const commands = []
+  const window = fakeScreenshotWindow({ width: 800, height: 3000 }, commands)
+  args.fullPage = true
+  const image = await job._capturePage(window, 'jpeg')
+  t.is(image.toString(), 'jpeg')
+  t.deepEqual(commands, [{
+    format: 'jpeg',
+    quality: 90,
+    clip: { x: 0, y: 0, width: 800, height: 3000, scale: 1 },
+    captureBeyondViewport: true
+  }])
+})
+
+test('captureFullPage_stitches tall pages', async t => {
+  const commands = []
+  const window = fakeScreenshotWindow({ width: 800, height: 5000 }, commands)
+  job._stitchImages = (images, format, quality) => Buffer.from(`${images.join('+')} as ${format} ${quality}`)
+  const image = await job._captureFullPage(window, 'jpeg', 80)
+  t.is(image.toString(), 'png+png as jpeg 80')
+  t.deepEqual(commands.map(c => c.clip.y), [0, 4096])
+  t.deepEqual(commands.map(c => c.clip.height), [4096, 904])
+})
+
+test('captureFullPage_segments are within the texture limit at the device scale factor', async t => {
+  const commands = []
+  const window = fakeScreenshotWindow({ width: 800, height: 2000 }, commands)
+  args.deviceScaleFactor = 5
+  job._stitchImages = images => Buffer.from(images.join('+'))
+  await job._captureFullPage(window, 'png')
+  t.deepEqual(commands.map(c => c.clip.y), [0, 819, 1638])
+  t.deepEqual(commands.map(c => c.clip.height), [819, 819, 362])
+})
+
+test('captureFullPage_tall WebP images are not supported', async t => {
+  const window = fakeScreenshotWindow({ width: 800, height: 5000 }, [])
+  await t.throws(job._captureFullPage(window, 'webp', 80), /too tall/)
+})
+
+test('captureElement_clips to the element', async t => {
+  const commands = []
+  const window = fakeScreenshotWindow({ x: 10.5, y: 2000, width: 300, height: 200.2 }, commands)
+  args.selector = '#chart'
+  await job._capturePage(window, 'png')
+  t.deepEqual(commands, [{
+    format: 'png',
+    clip: { x: 10, y: 2000, width: 301, height: 201, scale: 1 },
+    captureBeyondViewport: true
+  }])
+})
+
+test('captureElement_stitches tall elements at the device scale factor', async t => {
+  const commands = []
+  const window = fakeScreenshotWindow({ x: 8, y: 100, width: 300, height: 3000 }, commands)
+  args.selector = '#table'
+  args.deviceScaleFactor = 2
+  job._stitchImages = (images, format, quality) => Buffer.from(`${images.join('+')} as ${format} ${quality}`)
+  const image = await job._captureElement(window, 'jpeg', 80)
+  t.is(image.toString(), 'png+png as jpeg 80')
+  t.deepEqual(commands.map(c => c.clip), [
+    { x: 8, y: 100, width: 300, height: 2048, scale: 1 },
+    { x: 8, y: 2148, width: 300, height: 952, scale: 1 }
+  ])
+})
+
+test('captureElement_fails when the selector matches nothing', async t => {
+  const window = fakeScreenshotWindow(null, [])
+  args.selector = '#missing'
+  await t.throws(job._capturePage(window, 'png'), /No element matches the selector '#missing'/)
+})
+
+test('selectElement_sizes a single page to the element', async t => {
+  let script
+  const window = { webContents: { executeJavaScript: s => { script = s; return Promise.resolve({ width: 192, height: 96 }) } } }
+  const selectArgs = { selector: '.card', pageSize: 'A4', landscape: true, marginTop: '1in' }
+  await job._selectElement(selectArgs, window)
+  t.true(script.includes('document.querySelector(".card")'))
+  t.deepEqual(_.omit(selectArgs, ['selector', 'marginTop']), {
+    pageSize: { width: 50800, height: 50800 },
+    margins: '1in 0in 0in 0in',
+    landscape: false,
+    pageRanges: '1'
+  })
+  t.true(job._printsWithDevTools(selectArgs))
+})
+
+test('selectElement_fails when the selector matches nothing', async t => {
+  const window = { webContents: { executeJavaScript: () => Promise.resolve(null) } }
+  await t.throws(job._selectElement({ selector: '#missing' }, window), /#missing/)
+})
+
+// Merging
+test('isMerging_requires the merge arg and multiple inputs', t => {
+  t.false(new ExportJob(['a', 'b'], 'output.pdf', {}, options)._isMerging())
+  t.false(new ExportJob(['a'], 'output.pdf', { merge: true }, options)._isMerging())
+  t.true(new ExportJob(['a', 'b'], 'output.pdf', { merge: true }, options)._isMerging())
+})
+
+test('isMerging_only for PDF output', t => {
+  t.false(new ExportJob(['a', 'b'], 'output.png', { merge: true }, options)._isMerging())
+  t.false(new ExportJob(['a', 'b'], 'output.jpg', { merge: true }, options)._isMerging())
+})
+
+test.cb('completeResults_passes through results when not merging', t => {
+  job._completeResults(null, ['output_1.pdf'], (err, results) => {
+    t.is(err, null)
+    t.deepEqual(results, ['output_1.pdf'])
+    t.end()
+  })
+})
+
+test.cb('completeResults_reports merge errors', t => {
+  const mergeJob = new ExportJob(['a', 'b'], 'output.pdf', { merge: true }, options)
+  mergeJob._completeResults(null, [Buffer.from('a'), Buffer.from('b')], (err, results) => {
+    t.truthy(err)
+    t.end()
+  })
+})
+
+test.cb('completeResults_encrypts the merged PDF', t => {
+  const mergeJob = new ExportJob(['a', 'b'], 'output.pdf', { merge: true, userPassword: 'secret' },
+    _.extend({}, options, { inMemory: true }))
+  Promise.all([createPDF(), createPDF()]).then(pdfs => {
+    mergeJob._completeResults(null, pdfs, (err, results) => {
+      t.falsy(err)
+      t.true(isEncrypted(results[0]))
+      t.end()
+    })
+  })
+})
+
+test.cb('handlePDF_merging does not encrypt each PDF', t => {
+  const mergeJob = new ExportJob(['a', 'b'], 'output.pdf', { merge: true }, options)
+  createPDF().then(data => {
+    mergeJob._handlePDF('output_1.pdf', (e, d) => {
+      t.false(isEncrypted(d))
+      t.end()
+    }, undefined, data, { security: { userPassword: 'secret' } })
+  })
+})
+
+test.cb('handlePDF_merging keeps the PDF in memory', t => {
+  const mergeJob = new ExportJob(['a', 'b'], 'output.pdf', { merge: true }, options)
+  const data = 'binaryPDFDataWouldGoHere'
+  mergeJob._handlePDF('output_1.pdf', (e, d) => {
+    t.is(d, data)
+    t.end()
+  }, undefined, data)
+})
+
 // Cookie Tests
 test('setSessionCookie_single', t => {
   const cs = setupCookieStub()
@@ -170,6 +695,248 @@ test.cb('handlePDF_inMemory', t => {
   inMemJob._handlePDF('output.pdf', cb, err, data)
 })
 
+test('getDevToolsPrintOptions_paper size and margins in inches', t => {
+  const opts = job._getDevToolsPrintOptions({
+    pageSize: 'Letter',
+    landscape: true,
+    marginsType: 0,
+    displayHeaderFooter: true,
+    headerTemplate: '<span class="title"></span>'
+  })
+  t.deepEqual(opts, {
+    landscape: true,
+    printBackground: false,
+    paperWidth: 8.5,
+    paperHeight: 11,
+    marginTop: 0.4,
+    marginBottom: 0.4,
+    marginLeft: 0.4,
+    marginRight: 0.4,
+    preferCSSPageSize: false,
+    displayHeaderFooter: true,
+    headerTemplate: '<span class="title"></span>'
+  })
+})
+
+test('getDevToolsPrintOptions_no margins leave room for the header and footer', t => {
+  const opts = job._getDevToolsPrintOptions({ pageSize: 'A4', marginsType: 1, displayHeaderFooter: true })
+  t.is(opts.marginTop, 0.4)
+  t.is(opts.marginBottom, 0.4)
+  t.is(opts.marginLeft, 0)
+  t.is(opts.marginRight, 0)
+})
+
+test('getDevToolsPrintOptions_explicit margins override marginsType', t => {
+  const opts = job._getDevToolsPrintOptions({ pageSize: 'A4', marginsType: 0, margins: '1in 0.5in', marginLeft: '96px' })
+  t.is(opts.marginTop, 1)
+  t.is(opts.marginRight, 0.5)
+  t.is(opts.marginBottom, 1)
+  t.is(opts.marginLeft, 1)
+})
+
+test('getDevToolsPrintOptions_scale, pageRanges and preferCSSPageSize', t => {
+  const opts = job._getDevToolsPrintOptions({ pageSize: 'A4', scale: '0.5', pageRanges: 2, preferCSSPageSize: true })
+  t.is(opts.scale, 0.5)
+  t.is(opts.pageRanges, '2')
+  t.true(opts.preferCSSPageSize)
+  t.false(opts.displayHeaderFooter)
+})
+
+test('printsWithDevTools_only when an unsupported option is used', t => {
+  t.false(job._printsWithDevTools({ marginsType: 0, displayHeaderFooter: false, preferCSSPageSize: false }))
+  t.true(job._printsWithDevTools({ scale: 0.8 }))
+  t.true(job._printsWithDevTools({ marginTop: '1cm' }))
+  t.true(job._printsWithDevTools({ preferCSSPageSize: true }))
+})
+
+test('getPrintLayout_explicit margins and scale', t => {
+  t.deepEqual(job._getPrintLayout({ marginsType: 0 }), { margins: {}, scale: 1 })
+  t.deepEqual(job._getPrintLayout({ margins: '1in', scale: 2 }), {
+    margins: { top: 1, right: 1, bottom: 1, left: 1 },
+    scale: 2
+  })
+})
+
+test('constructor_invalid margins are rejected', t => {
+  const error = t.throws(() => new ExportJob(['input'], 'output.pdf', { margins: '1 foot' }))
+  t.true(error.message.includes('foot'))
+})
+
+test('resolveTemplate_reads a template file', t => {
+  const template = job._resolveTemplate(path.join(__dirname, 'header-template.html'))
+  t.true(template.includes('class="pageNumber"'))
+})
+
+test('resolveTemplate_inline html is used as-is', t => {
+  t.is(job._resolveTemplate('<b>Hi</b>'), '<b>Hi</b>')
+  t.is(job._resolveTemplate('no such file'), 'no such file')
+})
+
+test('printToPDF_displayHeaderFooter prints through DevTools', async t => {
+  const commands = []
+  let attached = false
+  const window = {
+    webContents: {
+      debugger: {
+        isAttached: () => attached,
+        attach: () => { attached = true },
+        detach: () => { attached = false },
+        sendCommand (method, params) {
+          commands.push(method)
+          return Promise.resolve({ data: Buffer.from('%PDF').toString('base64') })
+        }
+      },
+      printToPDF: () => t.fail()
+    }
+  }
+
+  const data = await job._printToPDF({ displayHeaderFooter: true, pageSize: 'A4' }, window)
+
+  t.is(data.toString(), '%PDF')
+  t.deepEqual(commands, ['Page.printToPDF'])
+  t.false(attached)
+})
+
+test('getMetadata_from args', async t => {
+  const metadata = await job._getMetadata({ title: 'Report', author: 'Me', keywords: 'a,b', merge: true })
+  t.deepEqual(metadata, { title: 'Report', author: 'Me', keywords: 'a,b' })
+})
+
+test('getMetadata_args take precedence over the page', async t => {
+  const window = {
+    webContents: {
+      executeJavaScript: () => Promise.resolve({ title: 'Page Title', author: 'Page Author', subject: '', keywords: undefined })
+    }
+  }
+  const metadata = await job._getMetadata({ metadataFromPage: true, author: 'Me' }, window)
+  t.deepEqual(metadata, { title: 'Page Title', author: 'Me' })
+})
+
+test.cb('handlePDF_writes metadata', t => {
+  const inMemJob = new ExportJob(['input'], 'output.pdf', {}, _.extend({}, options, { inMemory: true }))
+  PDFDocument.create().then(doc => {
+    doc.addPage()
+    return doc.save()
+  }).then(data => {
+    inMemJob._handlePDF('output.pdf', (e, d) => {
+      PdfBinder.getMetadata(d).then(metadata => {
+        t.is(metadata.title, 'Report')
+        t.end()
+      })
+    }, undefined, Buffer.from(data), { metadata: { title: 'Report' } })
+  })
+})
+
+test.cb('handlePDF_encrypts the PDF', t => {
+  const inMemJob = new ExportJob(['input'], 'output.pdf', {}, _.extend({}, options, { inMemory: true }))
+  createPDF().then(data => {
+    inMemJob._handlePDF('output.pdf', (e, d) => {
+      t.true(isEncrypted(d))
+      t.end()
+    }, undefined, data, { metadata: { title: 'Invoice' }, security: { userPassword: 'secret' } })
+  })
+})
+
+test('constructor_invalid permissions are rejected', t => {
+  t.throws(() => new ExportJob(['a'], 'output.pdf', { permissions: 'printing,editing' }, options), /Unknown permission 'editing'/)
+})
+
+test('getSecurity_only when a password or permissions are provided', t => {
+  t.is(job._getSecurity({ marginsType: 0 }), undefined)
+  t.deepEqual(job._getSecurity({ userPassword: 'u', permissions: 'printing' }), { userPassword: 'u', permissions: 'printing' })
+})
+
+test.cb('handlePDF_metadata error', t => {
+  const inMemJob = new ExportJob(['input'], 'output.pdf', {}, _.extend({}, options, { inMemory: true }))
+  inMemJob._handlePDF('output.pdf', (e, d) => {
+    t.truthy(e)
+    t.end()
+  }, undefined, Buffer.from('not a pdf'), { metadata: { title: 'Report' } })
+})
+
+test('getOutline_only with the outline arg', async t => {
+  t.deepEqual(await job._getOutline({}), [])
+})
+
+test('getOutline_page of each heading', async t => {
+  const window = {
+    webContents: {
+      executeJavaScript: () => Promise.resolve([
+        { level: 1, title: 'Intro', top: 48 },
+        { level: 2, title: 'Details', top: 1056 + 96 }
+      ])
+    }
+  }
+  // Letter with 1in margins prints 9in (864px) of content per page
+  const outline = await job._getOutline({ outline: true, pageSize: 'Letter', margins: '1in' }, window)
+  t.deepEqual(outline, [
+    { title: 'Intro', level: 1, pageIndex: 0, top: 1.5 },
+    { title: 'Details', level: 2, pageIndex: 1, top: 4 }
+  ])
+})
+
+test('addToc_only with the toc arg', async t => {
+  await job._addToc({}, { webContents: { executeJavaScript: () => t.fail() } })
+  t.pass()
+})
+
+test('addToc_fills in the page of each heading', async t => {
+  const scripts = []
+  const window = {
+    webContents: {
+      executeJavaScript: script => {
+        scripts.push(script)
+        return Promise.resolve(scripts.length === 1 ? [48, null, 864 * 2 + 10] : undefined)
+      }
+    }
+  }
+  await job._addToc({ toc: true, tocPageNumbers: true, pageSize: 'Letter', margins: '1in' }, window)
+  t.true(scripts[0].includes('{"depth":3,"title":"Contents","pageNumbers":true}'))
+  t.true(scripts[1].endsWith('([1,"",3])'))
+})
+
+test('addToc_does not fail the export', async t => {
+  const window = { webContents: { executeJavaScript: () => Promise.reject(new Error('gone')) } }
+  await job._addToc({ toc: true }, window)
+  t.pass()
+})
+
+test('constructor_invalid toc depth', t => {
+  t.throws(() => new ExportJob(['input'], 'output.pdf', { toc: true, tocDepth: 9 }, options), /Invalid tocDepth '9'/)
+})
+
+test.cb('handlePDF_writes the outline', t => {
+  const inMemJob = new ExportJob(['input'], 'output.pdf', {}, _.extend({}, options, { inMemory: true }))
+  const outline = [{ title: 'Intro', level: 1, pageIndex: 0, top: 1 }]
+  PDFDocument.create().then(doc => {
+    doc.addPage()
+    return doc.save()
+  }).then(data => {
+    inMemJob._handlePDF('output.pdf', (e, d) => {
+      PdfBinder.getOutline(d).then(result => {
+        t.deepEqual(result, outline)
+        t.end()
+      })
+    }, undefined, Buffer.from(data), { outline })
+  })
+})
+
+test('stampWindow_adds the watermark', async t => {
+  let script
+  const window = { webContents: { executeJavaScript: s => { script = s; return Promise.resolve() } } }
+  const stampJob = new ExportJob(['input'], 'output.pdf', { watermark: 'DRAFT' }, options)
+  await stampJob._stampWindow(window, 'output.pdf')
+  t.true(script.includes('"text":"DRAFT"'))
+})
+
+test('stampWindow_not for html output or without a watermark', async t => {
+  const window = { webContents: { executeJavaScript: () => t.fail() } }
+  const stampJob = new ExportJob(['input'], 'output.html', { watermark: 'DRAFT' }, options)
+  await stampJob._stampWindow(window, 'output.html')
+  await job._stampWindow(window, 'output.pdf')
+  t.pass()
+})
+
 test.cb(`_waitForPage with --noprint adds no wait and invokes generate function immediately`, t => {
   args.noprint = true
 
@@ -180,6 +947,39 @@ test.cb(`_waitForPage with --noprint adds no wait and invokes generate function
 })
 
 // Support Functions
+/**
+ * @returns {Promise<Buffer>} a PDF with a single page
+ */
+function createPDF () {
+  return PDFDocument.create().then(doc => {
+    doc.addPage()
+    return doc.save()
+  }).then(bytes => Buffer.from(bytes))
+}
+
+/**
+ * @param {Object} size the size of the document
+ * @param {Array} commands captures the Page.captureScreenshot params
+ */
+function fakeScreenshotWindow (size, commands) {
+  return {
+    webContents: {
+      executeJavaScript: () => Promise.resolve(size),
+      debugger: {
+        isAttached: () => true,
+        sendCommand (method, params) {
+          commands.push(params)
+          return Promise.resolve({ data: Buffer.from(params.format).toString('base64') })
+        }
+      }
+    }
+  }
+}
+
+function isEncrypted (pdf) {
+  return pdf.toString('latin1').includes('/Encrypt')
+}
+
 /**
  * Stubs the windows.sessionn.cookies object and provides access
  * to the captured cookies that were set.
@@ -0,0 +1,55 @@
+import test from 'ava'
+
+import PDFExporter from '../lib/index'
+
+test('createJob_concurrent jobs are limited by the queue size', async t => {
+  const exporter = new PDFExporter({ maxConcurrentJobs: 1, maxQueueSize: 1 })
+  exporter.isReady = true
+  exporter.source.resolveInputs = input => new Promise(resolve => setTimeout(() => resolve([{ source: input }]), 10))
+
+  const created = await Promise.all([1, 2, 3, 4, 5].map(() => {
+    return exporter.createJob('x.md', 'x.pdf', {}, {}).then(job => job, err => err.code)
+  }))
+
+  const jobs = created.filter(job => job !== 'QUEUE_FULL')
+  t.is(jobs.length, 2)
+  t.is(created.length - jobs.length, 3)
+  jobs.forEach(job => {
+    job._render = () => {}
+    job.render()
+  })
+  t.is(exporter.queue.active, 1)
+  t.is(exporter.queue.depth(), 1)
+  t.is(exporter.queue.reserved, 0)
+})
+
+test('createJob_releases the reservation of a job that is not created', async t => {
+  const exporter = new PDFExporter({ maxConcurrentJobs: 1, maxQueueSize: 1 })
+  exporter.isReady = true
+  exporter.source.resolveInputs = () => Promise.reject(new Error('unreadable'))
+
+  await t.throws(exporter.createJob('x.md', 'x.pdf', {}, {}), /unreadable/)
+  t.is(exporter.queue.reserved, 0)
+})
+
+test('createJob_destroying a job releases its reservation', async t => {
+  const exporter = new PDFExporter({ maxConcurrentJobs: 0, maxQueueSize: 1 })
+  exporter.isReady = true
+  exporter.source.resolveInputs = input => Promise.resolve([{ source: input }])
+
+  const job = await exporter.createJob('x.html', 'x.pdf', {}, {})
+  t.true(exporter.queue.isFull())
+  job.destroy()
+  t.false(exporter.queue.isFull())
+})
+
+test('createJob_only inputs passed as files have file resources', async t => {
+  const exporter = new PDFExporter()
+  exporter.isReady = true
+  exporter.source.resolveInputs = inputs => Promise.resolve(inputs.map(input => ({ source: '/tmp/transformed.html' })))
+
+  const job = await exporter.createJob(['guide.md', 'https://example.com/guide.md'], 'x.pdf', {}, {})
+  t.deepEqual(job.options.fileResources, [true, false])
+  const serverJob = await exporter.createJob(['guide.md'], 'x.pdf', {}, { fileResources: false })
+  t.false(serverJob.options.fileResources)
+})
@@ -0,0 +1,160 @@
+import test from 'ava'
+
+import { EventEmitter2 as EventEmitter } from 'eventemitter2'
+
+import JobQueue from '../lib/jobQueue'
+
+test('jobs start immediately when there is no limit', t => {
+  const queue = new JobQueue()
+  const started = []
+  queue.enqueue(fakeJob('a'), () => started.push('a'))
+  queue.enqueue(fakeJob('b'), () => started.push('b'))
+  t.deepEqual(started, ['a', 'b'])
+  t.is(queue.active, 2)
+})
+
+test('jobs wait for a slot when maxConcurrentJobs is reached', t => {
+  const queue = new JobQueue({ maxConcurrentJobs: 1 })
+  const started = []
+  const a = fakeJob('a')
+  queue.enqueue(a, () => started.push('a'))
+  queue.enqueue(fakeJob('b'), () => started.push('b'))
+  t.deepEqual(started, ['a'])
+  t.is(queue.depth(), 1)
+
+  a.emit('job.render.complete', {})
+  t.deepEqual(started, ['a', 'b'])
+  t.is(queue.depth(), 0)
+  t.is(queue.active, 1)
+})
+
+test('terminated windows release their slot', t => {
+  const queue = new JobQueue({ maxConcurrentJobs: 1 })
+  const a = fakeJob('a')
+  queue.enqueue(a, () => {})
+  queue.enqueue(fakeJob('b'), () => {})
+  a.emit('window.termination', {})
+  t.is(queue.depth(), 0)
+})
+
+test('a slot is only released once per job', t => {
+  const queue = new JobQueue({ maxConcurrentJobs: 1 })
+  const a = fakeJob('a')
+  queue.enqueue(a, () => {})
+  queue.enqueue(fakeJob('b'), () => {})
+  a.emit('window.termination', {})
+  a.emit('job.render.complete', {})
+  t.is(queue.active, 1)
+})
+
+test('higher priority jobs are started first, then in queued order', t => {
+  const queue = new JobQueue({ maxConcurrentJobs: 1 })
+  const started = []
+  const first = fakeJob('first')
+  queue.enqueue(first, () => started.push('first'))
+  queue.enqueue(fakeJob('low'), () => started.push('low'))
+  queue.enqueue(fakeJob('high1', 5), () => started.push('high1'))
+  queue.enqueue(fakeJob('high2', 5), () => started.push('high2'))
+
+  first.emit('job.render.complete')
+  t.deepEqual(started, ['first', 'high1'])
+  t.deepEqual(queue.pending.map(e => e.job.jobId), ['high2', 'low'])
+})
+
+test('isFull when maxQueueSize jobs are waiting', t => {
+  const queue = new JobQueue({ maxConcurrentJobs: 1, maxQueueSize: 1 })
+  queue.enqueue(fakeJob('a'), () => {})
+  t.false(queue.isFull())
+  queue.enqueue(fakeJob('b'), () => {})
+  t.true(queue.isFull())
+})
+
+test('events report depth and wait time', t => {
+  const queue = new JobQueue({ maxConcurrentJobs: 1 })
+  const events = []
+  queue.onAny((event, value) => events.push([event, value]))
+  const a = fakeJob('a')
+  queue.enqueue(a, () => {})
+  queue.enqueue(fakeJob('b'), () => {})
+  a.emit('job.render.complete')
+
+  t.deepEqual(events.map(e => e[0]), [
+    'queue.job.enqueued',
+    'queue.job.started',
+    'queue.job.enqueued',
+    'queue.job.finished',
+    'queue.job.started'
+  ])
+  t.deepEqual(events[2][1], { jobId: 'b', priority: 0, depth: 1, active: 1 })
+  t.is(typeof events[4][1].waitTime, 'number')
+  t.is(events[4][1].jobId, 'b')
+})
+
+test('a job that fails to start releases its slot', t => {
+  const queue = new JobQueue({ maxConcurrentJobs: 1 })
+  let error
+  queue.on('queue.job.error', e => { error = e.error })
+  queue.enqueue(fakeJob('a'), () => { throw new Error('no window') })
+  t.is(error.message, 'no window')
+  t.is(queue.active, 0)
+})
+
+// Support Functions
+function fakeJob (jobId, priority) {
+  const job = new EventEmitter()
+  job.jobId = jobId
+  job.options = priority === undefined ? {} : { priority }
+  return job
+}
+
+test('reserved jobs count once the free slots are taken', t => {
+  const queue = new JobQueue({ maxConcurrentJobs: 1, maxQueueSize: 1 })
+  const first = queue.reserve()
+  t.false(queue.isFull())
+  const second = queue.reserve()
+  t.true(queue.isFull())
+  first()
+  first()
+  t.is(queue.reserved, 1)
+  second()
+  t.false(queue.isFull())
+})
+
+test.cb('a reservation is released after the timeout', t => {
+  const queue = new JobQueue({ maxConcurrentJobs: 0, maxQueueSize: 1, reservationTimeout: 10 })
+  const release = queue.reserve()
+  t.true(queue.isFull())
+  setTimeout(() => {
+    t.false(queue.isFull())
+    release()
+    t.is(queue.reserved, 0)
+    t.end()
+  }, 30)
+})
+
+test('reservations are kept without a timeout', t => {
+  const queue = new JobQueue({ maxConcurrentJobs: 0, maxQueueSize: 1, reservationTimeout: Infinity })
+  queue.reserve()
+  t.true(queue.isFull())
+})
+
+test('a job that keeps its window holds its slot until the window is closed', t => {
+  const queue = new JobQueue({ maxConcurrentJobs: 1 })
+  const a = fakeJob('a')
+  a.options.closeWindow = false
+  a.window = {}
+  queue.enqueue(a, () => {})
+  a.emit('job.render.complete', {})
+  t.is(queue.active, 1)
+  a.emit('job.render.window.close')
+  t.is(queue.active, 0)
+})
+
+test('a job that keeps its window releases its slot when it has none', t => {
+  const queue = new JobQueue({ maxConcurrentJobs: 1 })
+  const a = fakeJob('a')
+  a.options.closeWindow = false
+  queue.enqueue(a, () => {})
+  a.emit('job.render.complete', { error: 'failed to load' })
+  t.is(queue.active, 0)
+})
@@ -0,0 +1,43 @@
+import test from 'ava'
+
+import MarkdownExtensions from '../lib/markdownExtensions'
+
+const { marked } = require('marked')
+
+marked.use({ extensions: MarkdownExtensions.extensions })
+
+test('footnotes_numbered in the order they are referenced', t => {
+  const footnotes = MarkdownExtensions.createFootnotes()
+  const html = marked.parse('b[^b] a[^a] b[^b] c[^c]\n\n[^a]: A\n[^b]: B\n\n    More B\n[^unused]: U', { footnotes })
+
+  t.is(html, '<p>b<sup class="footnote-ref"><a href="#fn-b" id="fnref-b-1">1</a></sup> ' +
+    'a<sup class="footnote-ref"><a href="#fn-a" id="fnref-a-1">2</a></sup> ' +
+    'b<sup class="footnote-ref"><a href="#fn-b" id="fnref-b-2">1</a></sup> c[^c]</p>\n')
+  t.deepEqual(footnotes.references, ['b', 'a'])
+
+  const section = MarkdownExtensions.renderFootnotes(footnotes)
+  t.true(section.includes('<li id="fn-b">\n<p>B</p>\n<p>More B <a href="#fnref-b-1" class="footnote-backref">&#8617;</a> ' +
+    '<a href="#fnref-b-2" class="footnote-backref">&#8617;</a></p>\n</li>'))
+  t.true(section.indexOf('fn-b') < section.indexOf('fn-a'))
+  t.false(section.includes('unused'))
+})
+
+test('footnotes_left alone without the footnotes option', t => {
+  t.is(marked.parse('a[^a]\n\n[^a]: A'), '<p>a<a href="A">^a</a></p>\n')
+  t.is(MarkdownExtensions.renderFootnotes(MarkdownExtensions.createFootnotes()), '')
+})
+
+test('emoji_shortcodes outside of code', t => {
+  t.is(marked.parse(':rocket: `:rocket:` :not-an-emoji: 10:30:00', { emoji: true }),
+    '<p>🚀 <code>:rocket:</code> :not-an-emoji: 10:30:00</p>\n')
+  t.is(marked.parse(':rocket:'), '<p>:rocket:</p>\n')
+})
+
+test('renderAlert_by kind', t => {
+  t.is(MarkdownExtensions.renderAlert('<p>[!Tip]\nUse it</p>\n'),
+    '<div class="markdown-alert markdown-alert-tip">\n<p class="markdown-alert-title">Tip</p>\n<p>Use it</p>\n</div>\n')
+  t.is(MarkdownExtensions.renderAlert('<p>[!CAUTION]</p>\n<p>Hot</p>\n'),
+    '<div class="markdown-alert markdown-alert-caution">\n<p class="markdown-alert-title">Caution</p>\n<p>Hot</p>\n</div>\n')
+  t.is(MarkdownExtensions.renderAlert('<p>[!OTHER]\nText</p>\n'), undefined)
+  t.is(MarkdownExtensions.renderAlert('<p>A [!NOTE]</p>\n'), undefined)
+})
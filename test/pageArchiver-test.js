@@ -0,0 +1,71 @@
+import test from 'ava'
+
+import PageArchiver from '../lib/pageArchiver'
+
+const RESOURCES = {
+  'http://host/css/site.css': { data: Buffer.from('@import "print.css"; body { background: url(../bg.png) }'), type: 'text/css' },
+  'http://host/css/print.css': { data: Buffer.from('@font-face { src: url("font.woff2") }') },
+  'http://host/bg.png': { data: Buffer.from('bg'), type: 'image/png' },
+  'http://host/css/font.woff2': { data: Buffer.from('font') },
+  'http://host/logo.svg': { data: Buffer.from('logo'), type: 'image/svg+xml' }
+}
+
+test('inlineCss_url values are embedded', async t => {
+  const css = await PageArchiver.inlineCss('a { background: url(\'bg.png\') } b { background: url(data:,x) }', 'http://host/', fakeFetch)
+  t.is(css, `a { background: url("data:image/png;base64,${b64('bg')}") } b { background: url(data:,x) }`)
+})
+
+test('inlineCss_imports are inlined recursively', async t => {
+  const css = await PageArchiver.inlineCss('@import url("css/print.css");', 'http://host/', fakeFetch)
+  const imported = `@font-face { src: url("data:font/woff2;base64,${b64('font')}") }`
+  t.is(css, `@import url("data:text/css;base64,${b64(imported)}");`)
+})
+
+test('inlineCss_strings and comments are not references', async t => {
+  const source = '/* url(bg.png) */ a::before { content: "url(bg.png)" }'
+  t.is(await PageArchiver.inlineCss(source, 'http://host/', fakeFetch), source)
+})
+
+test('inlineCss_import cycles are not followed', async t => {
+  const fetch = () => Promise.resolve({ data: Buffer.from('@import "a.css";') })
+  const css = await PageArchiver.inlineCss('@import "a.css";', 'http://host/', fetch)
+  t.true(css.startsWith('@import url("data:text/css;base64,'))
+})
+
+test('inline_page resources and failures', async t => {
+  const inlined = await PageArchiver.inline({
+    baseURI: 'http://host/page.html',
+    stylesheets: ['http://host/css/site.css', 'http://host/missing.css'],
+    styles: ['p { background: url(bg.png) }'],
+    styleAttributes: ['background: url(missing.png)'],
+    images: ['http://host/logo.svg', 'data:,x']
+  }, fakeFetch)
+
+  t.true(inlined.stylesheets[0].includes('data:image/png;base64'))
+  t.is(inlined.stylesheets[1], null)
+  t.is(inlined.styles[0], `p { background: url("data:image/png;base64,${b64('bg')}") }`)
+  t.is(inlined.styleAttributes[0], 'background: url("http://host/missing.png")')
+  t.deepEqual(inlined.images, [`data:image/svg+xml;base64,${b64('logo')}`, 'data:,x'])
+  t.deepEqual(inlined.failed.sort(), ['http://host/missing.css', 'http://host/missing.png'])
+})
+
+test('getContentType_by extension', t => {
+  t.is(PageArchiver.getContentType('http://host/a/font.WOFF2?v=1'), 'font/woff2')
+  t.is(PageArchiver.getContentType('/tmp/image.jpg'), 'image/jpeg')
+  t.is(PageArchiver.getContentType('http://host/data'), 'application/octet-stream')
+})
+
+test('getInlineScript_omits the failed urls', t => {
+  const script = PageArchiver.getInlineScript({ stylesheets: [], failed: ['http://host/missing.css'] })
+  t.false(script.includes('missing.css'))
+})
+
+// Support Functions
+function fakeFetch (href) {
+  const resource = RESOURCES[href]
+  return resource ? Promise.resolve(resource) : Promise.reject(new Error(`404 ${href}`))
+}
+
+function b64 (value) {
+  return Buffer.from(value).toString('base64')
+}
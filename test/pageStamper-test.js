@@ -0,0 +1,71 @@
+import test from 'ava'
+
+import path from 'path'
+
+import PageStamper from '../lib/pageStamper'
+
+test('getWatermark_undefined without text or an image', t => {
+  t.is(PageStamper.getWatermark({}), undefined)
+})
+
+test('getWatermark_text in the center by default', t => {
+  const watermark = PageStamper.getWatermark({ watermark: 'DRAFT' })
+  t.is(watermark.text, 'DRAFT')
+  t.is(watermark.image, undefined)
+  t.is(watermark.style.top, '50%')
+  t.is(watermark.style.left, '50%')
+  t.is(watermark.style.opacity, '0.2')
+  t.is(watermark.style.transform, 'translate(-50%, -50%) rotate(-45deg)')
+})
+
+test('getWatermark_position, opacity and rotation', t => {
+  const watermark = PageStamper.getWatermark({
+    watermark: 'CONFIDENTIAL',
+    watermarkPosition: 'bottom-right',
+    watermarkOpacity: 1,
+    watermarkRotation: 0
+  })
+  t.is(watermark.style.bottom, '0')
+  t.is(watermark.style.right, '0')
+  t.is(watermark.style.top, undefined)
+  t.is(watermark.style.opacity, '1')
+  t.is(watermark.style.transform, 'rotate(0deg)')
+})
+
+test('getWatermark_invalid position', t => {
+  const error = t.throws(() => PageStamper.getWatermark({ watermark: 'DRAFT', watermarkPosition: 'middle' }))
+  t.true(error.message.includes('middle'))
+})
+
+test('getWatermark_the image is not read', t => {
+  const watermark = PageStamper.getWatermark({ watermarkImage: path.join(__dirname, 'missing.png') })
+  t.is(watermark.image, path.join(__dirname, 'missing.png'))
+  t.throws(() => PageStamper.getWatermark({ watermarkImage: path.join(__dirname, 'header-template.html') }), /Invalid watermarkImage/)
+})
+
+test('loadWatermark_reads the image', async t => {
+  const watermark = await PageStamper.loadWatermark({ watermark: 'DRAFT', watermarkImage: path.join(__dirname, 'watermark.svg') })
+  t.is(watermark.text, 'DRAFT')
+  t.true(watermark.image.startsWith('data:image/svg+xml;base64,'))
+  t.is(await PageStamper.loadWatermark({}), undefined)
+  await t.throws(PageStamper.loadWatermark({ watermarkImage: path.join(__dirname, 'missing.png') }), /ENOENT/)
+})
+
+test('getImageSource_files are embedded', async t => {
+  const source = await PageStamper.getImageSource(path.join(__dirname, 'watermark.svg'))
+  t.true(source.startsWith('data:image/svg+xml;base64,'))
+})
+
+test('getImageSource_urls are used as-is', async t => {
+  t.is(await PageStamper.getImageSource('https://fraserxu.me/logo.png'), 'https://fraserxu.me/logo.png')
+})
+
+test('getImageSource_unsupported file type', async t => {
+  await t.throws(PageStamper.getImageSource(path.join(__dirname, 'header-template.html')), /Invalid watermarkImage/)
+})
+
+test('getStampScript_invokes the stamp with the watermark', t => {
+  const script = PageStamper.getStampScript({ text: 'DRAFT', style: {} })
+  t.true(script.startsWith('(function stampPage (watermark)'))
+  t.true(script.endsWith('({"text":"DRAFT","style":{}})'))
+})
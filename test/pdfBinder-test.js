@@ -0,0 +1,145 @@
+import test from 'ava'
+
+import { PDFDocument, PDFName, PageSizes } from '@cantoo/pdf-lib'
+
+import PdfBinder from '../lib/pdfBinder'
+
+test('merge joins the pages of each PDF in order', async t => {
+  const merged = await PdfBinder.merge([
+    await createPDF([PageSizes.Letter, PageSizes.Letter]),
+    await createPDF([PageSizes.A4])
+  ])
+
+  const doc = await PDFDocument.load(merged)
+  t.true(Buffer.isBuffer(merged))
+  t.is(doc.getPageCount(), 3)
+  t.deepEqual(doc.getPages().map(p => p.getWidth()), [612, 612, 595.28])
+})
+
+test('merge keeps the orientation of each section', async t => {
+  const landscapeA4 = [PageSizes.A4[1], PageSizes.A4[0]]
+  const merged = await PdfBinder.merge([
+    await createPDF([PageSizes.A4]),
+    await createPDF([landscapeA4])
+  ])
+
+  const pages = (await PDFDocument.load(merged)).getPages()
+  t.true(pages[0].getHeight() > pages[0].getWidth())
+  t.true(pages[1].getWidth() > pages[1].getHeight())
+})
+
+test('merge rejects input that is not a PDF', async t => {
+  await t.throws(PdfBinder.merge([Buffer.from('not a pdf')]))
+})
+
+test('setMetadata writes the document information', async t => {
+  const pdf = await PdfBinder.setMetadata(await createPDF([PageSizes.A4]), {
+    title: 'Report',
+    author: 'Me',
+    subject: 'Testing',
+    keywords: 'electron, pdf',
+    creator: 'electron-pdf',
+    producer: 'Chromium'
+  })
+
+  t.deepEqual(await PdfBinder.getMetadata(pdf), {
+    title: 'Report',
+    author: 'Me',
+    subject: 'Testing',
+    keywords: 'electron pdf',
+    creator: 'electron-pdf',
+    producer: 'Chromium'
+  })
+})
+
+test('setMetadata leaves fields that are not provided', async t => {
+  const pdf = await PdfBinder.setMetadata(await createPDF([PageSizes.A4]), { title: 'Report', author: '' })
+  const metadata = await PdfBinder.getMetadata(pdf)
+  t.is(metadata.title, 'Report')
+  t.is(metadata.author, undefined)
+  t.is(metadata.producer, 'pdf-lib (https://github.com/Hopding/pdf-lib)')
+})
+
+test('merge keeps the metadata of the first PDF', async t => {
+  const first = await PdfBinder.setMetadata(await createPDF([PageSizes.A4]), { title: 'First' })
+  const second = await PdfBinder.setMetadata(await createPDF([PageSizes.A4]), { title: 'Second' })
+  const merged = await PdfBinder.merge([first, second])
+  t.is((await PdfBinder.getMetadata(merged)).title, 'First')
+})
+
+test('addOutline nests items by level', async t => {
+  const pdf = await PdfBinder.addOutline(await createPDF([PageSizes.A4, PageSizes.A4]), [
+    { title: 'Chapter 1', level: 1, pageIndex: 0, top: 1 },
+    { title: 'Section 1.1', level: 2, pageIndex: 0, top: 5 },
+    { title: 'Detail', level: 4, pageIndex: 1, top: 2 },
+    { title: 'Chapter 2', level: 1, pageIndex: 1, top: 6 }
+  ])
+
+  const doc = await PDFDocument.load(pdf)
+  const outlines = doc.catalog.lookup(PDFName.of('Outlines'))
+  t.is(outlines.lookup(PDFName.of('Count')).asNumber(), 4)
+  t.deepEqual(await PdfBinder.getOutline(pdf), [
+    { title: 'Chapter 1', level: 1, pageIndex: 0, top: 1 },
+    { title: 'Section 1.1', level: 2, pageIndex: 0, top: 5 },
+    { title: 'Detail', level: 3, pageIndex: 1, top: 2 },
+    { title: 'Chapter 2', level: 1, pageIndex: 1, top: 6 }
+  ])
+})
+
+test('addOutline links beyond the last page to the last page', async t => {
+  const pdf = await PdfBinder.addOutline(await createPDF([PageSizes.A4]), [
+    { title: 'Résumé', level: 1, pageIndex: 3, top: 0 }
+  ])
+  t.deepEqual(await PdfBinder.getOutline(pdf), [{ title: 'Résumé', level: 1, pageIndex: 0, top: 0 }])
+})
+
+test('merge keeps the outline of each PDF', async t => {
+  const outline = [{ title: 'Intro', level: 1, pageIndex: 1, top: 1 }]
+  const first = await PdfBinder.addOutline(await createPDF([PageSizes.A4, PageSizes.A4]), outline)
+  const second = await PdfBinder.addOutline(await createPDF([PageSizes.A4, PageSizes.A4]), outline)
+  const merged = await PdfBinder.merge([first, await createPDF([PageSizes.A4]), second])
+  t.deepEqual((await PdfBinder.getOutline(merged)).map(item => item.pageIndex), [1, 4])
+})
+
+test('encrypt requires the user password to open the PDF', async t => {
+  const pdf = await PdfBinder.encrypt(await createPDF([PageSizes.A4]), { userPassword: 'secret', ownerPassword: 'owner' })
+  await t.throws(PDFDocument.load(pdf), /encrypted/)
+  t.true((await PDFDocument.load(pdf, { ignoreEncryption: true })).isEncrypted)
+})
+
+test('encrypt restricts the permissions', async t => {
+  const pdf = await PdfBinder.encrypt(await createPDF([PageSizes.A4]), { permissions: 'printing, copying' })
+  // Bits 3 (print), 5 (copy) and 12 (high quality print) of the /P flags
+  const flags = Number(/\/P (-?\d+)/.exec(pdf.toString('latin1'))[1])
+  t.is(flags & 0b100000111100, 0b100000010100)
+})
+
+test('encrypt grants every permission by default', async t => {
+  const pdf = await PdfBinder.encrypt(await createPDF([PageSizes.A4]), { userPassword: 'secret' })
+  const flags = Number(/\/P (-?\d+)/.exec(pdf.toString('latin1'))[1])
+  t.is(flags & 0b111100111100, 0b111100111100)
+})
+
+test('toPermissions grants every permission by default', t => {
+  t.deepEqual(PdfBinder.toPermissions('none'), {})
+  t.deepEqual(PdfBinder.toPermissions('printing, copying'), { printing: 'highResolution', copying: true })
+  t.is(PdfBinder.toPermissions().printing, 'highResolution')
+  t.throws(() => PdfBinder.toPermissions(['editing']), /Unknown permission 'editing'/)
+})
+
+test('encrypt rejects unknown permissions', async t => {
+  const pdf = await createPDF([PageSizes.A4])
+  await t.throws(PdfBinder.encrypt(pdf, { permissions: ['printing', 'editing'] }), /editing/)
+})
+
+// Support Functions
+/**
+ * @param {Array} pageSizes [width, height] of each page
+ * @returns {Promise<Buffer>}
+ */
+function createPDF (pageSizes) {
+  return PDFDocument.create().then(doc => {
+    pageSizes.forEach(size => doc.addPage(size))
+    return doc.save()
+  }).then(bytes => Buffer.from(bytes))
+}
@@ -0,0 +1,248 @@
+import test from 'ava'
+
+import http from 'http'
+import url from 'url'
+
+import { EventEmitter2 as EventEmitter } from 'eventemitter2'
+
+import RenderServer from '../lib/server'
+import Source from '../lib/source'
+
+test.beforeEach.cb(t => {
+  const exporter = fakeExporter()
+  const server = new RenderServer(exporter, { port: 0 })
+  t.context = { exporter, server }
+  server.once('listening', () => t.end())
+  server.start()
+})
+
+test.afterEach.cb(t => {
+  t.context.server.stop(() => t.end())
+})
+
+test('json url request returns the PDF', async t => {
+  const res = await post(t, '/', 'application/json', JSON.stringify({ url: 'http://localhost/page.html' }))
+  t.is(res.statusCode, 200)
+  t.is(res.headers['content-type'], 'application/pdf')
+  t.is(res.body, 'document:http://localhost/page.html')
+  t.is(t.context.exporter.jobs[0].output, 'export.pdf')
+  t.deepEqual(t.context.exporter.jobs[0].options, { inMemory: true, closeWindow: false, fileResources: false })
+})
+
+test('html request is exported from the server, not a file', async t => {
+  let served
+  t.context.exporter.render = job => request(t, { method: 'GET', path: url.parse(job.input).path }).then(res => { served = res })
+  const res = await post(t, '/', 'text/html; charset=utf-8', '<h1>Héllo</h1>')
+  t.is(res.statusCode, 200)
+  const { port } = t.context.server.server.address()
+  t.regex(t.context.exporter.jobs[0].input, new RegExp(`^http://127\\.0\\.0\\.1:${port}/input/[\\w-]+$`))
+  t.is(served.statusCode, 200)
+  t.is(served.headers['content-type'], 'text/html; charset=utf-8')
+  t.is(served.body, '<h1>Héllo</h1>')
+
+  const after = await request(t, { method: 'GET', path: url.parse(t.context.exporter.jobs[0].input).path })
+  t.is(after.statusCode, 404)
+})
+
+test('png type returns an image', async t => {
+  const res = await post(t, '/', 'application/json', JSON.stringify({ url: 'http://localhost', args: { type: 'png' } }))
+  t.is(res.statusCode, 200)
+  t.is(res.headers['content-type'], 'image/png')
+  t.is(t.context.exporter.jobs[0].output, 'export.png')
+})
+
+test('jpg type returns a jpeg image', async t => {
+  const res = await post(t, '/?type=jpg&quality=60', 'application/json', JSON.stringify({ url: 'http://localhost' }))
+  t.is(res.headers['content-type'], 'image/jpeg')
+  t.is(t.context.exporter.jobs[0].output, 'export.jpg')
+  t.is(t.context.exporter.jobs[0].args.quality, 60)
+})
+
+test('mhtml type returns an archive', async t => {
+  const res = await post(t, '/?type=mhtml', 'application/json', JSON.stringify({ url: 'http://localhost' }))
+  t.is(res.headers['content-type'], 'multipart/related')
+  t.is(t.context.exporter.jobs[0].output, 'export.mhtml')
+})
+
+test('json type returns the content of the page', async t => {
+  const res = await post(t, '/?type=json', 'application/json', JSON.stringify({ url: 'http://localhost' }))
+  t.is(res.headers['content-type'], 'application/json; charset=utf-8')
+  t.is(t.context.exporter.jobs[0].output, 'export.json')
+})
+
+test('query string args are coerced and aliases resolved', async t => {
+  await post(t, '/?l&p=Letter&marginsType=0&printBackground=false', 'application/json', JSON.stringify({ url: 'http://localhost' }))
+  const args = t.context.exporter.jobs[0].args
+  t.true(args.landscape)
+  t.is(args.pageSize, 'Letter')
+  t.is(args.marginsType, 0)
+  t.false(args.printBackground)
+})
+
+test('json args take precedence over the query string', async t => {
+  await post(t, '/?pageSize=Letter', 'application/json', JSON.stringify({ url: 'http://localhost', args: { pageSize: 'A3' } }))
+  t.is(t.context.exporter.jobs[0].args.pageSize, 'A3')
+})
+
+test('missing input is a bad request', async t => {
+  const res = await post(t, '/', 'application/json', JSON.stringify({ args: {} }))
+  t.is(res.statusCode, 400)
+  t.regex(JSON.parse(res.body).error, /url/)
+})
+
+test('invalid json is a bad request', async t => {
+  const res = await post(t, '/', 'application/json', '{')
+  t.is(res.statusCode, 400)
+})
+
+test('unsupported content type', async t => {
+  const res = await post(t, '/', 'text/plain', 'http://localhost')
+  t.is(res.statusCode, 415)
+})
+
+test('unsupported export type', async t => {
+  const res = await post(t, '/', 'application/json', JSON.stringify({ url: 'http://localhost', args: { type: 'gif' } }))
+  t.is(res.statusCode, 400)
+})
+
+test('args that configure the browser or read files are rejected', async t => {
+  const args = {
+    browserConfig: '{"webPreferences":{"nodeIntegration":true,"contextIsolation":false}}',
+    noprint: true,
+    headerTemplate: '/etc/passwd',
+    footerTemplate: '/etc/passwd',
+    css: '/etc/passwd',
+    data: '/etc/passwd',
+    markdownSanitize: 'off',
+    watermarkImage: '/etc/passwd'
+  }
+  for (const name of Object.keys(args)) {
+    const res = await post(t, '/', 'application/json', JSON.stringify({ url: 'http://localhost', args: { [name]: args[name] } }))
+    t.is(res.statusCode, 400, name)
+    t.is(JSON.parse(res.body).error, `Unsupported args: ${name}`)
+  }
+  const query = await post(t, '/?noprint&browserConfig=%7B%7D', 'application/json', JSON.stringify({ url: 'http://localhost' }))
+  t.is(JSON.parse(query.body).error, 'Unsupported args: noprint, browserConfig')
+  t.is(t.context.exporter.jobs.length, 0)
+})
+
+test('args of the server are not restricted', async t => {
+  t.context.server.defaultArgs = { css: 'print.css', pageSize: 'A4' }
+  await post(t, '/', 'application/json', JSON.stringify({ url: 'http://localhost', args: { watermark: 'DRAFT' } }))
+  t.deepEqual(t.context.exporter.jobs[0].args, { css: 'print.css', pageSize: 'A4', watermark: 'DRAFT' })
+})
+
+test('file urls are rejected', async t => {
+  const res = await post(t, '/', 'application/json', JSON.stringify({ url: 'file:///etc/passwd' }))
+  t.is(res.statusCode, 400)
+  t.is(t.context.exporter.jobs.length, 0)
+})
+
+test('transformed urls are rejected', async t => {
+  const body = { url: 'http://localhost/notes.md', args: { type: 'html', selfContained: true } }
+  const res = await post(t, '/', 'application/json', JSON.stringify(body))
+  t.is(res.statusCode, 400)
+  t.regex(JSON.parse(res.body).error, /^Unsupported url: http:\/\/localhost\/notes\.md, transformed inputs/)
+  t.is(t.context.exporter.jobs.length, 0)
+})
+
+test('a request that errors after it is too large is answered once', t => {
+  const req = new EventEmitter()
+  const responses = []
+  t.context.server.options.maxBodySize = 1
+  t.context.server._readBody(req, err => responses.push(err.statusCode))
+  req.emit('data', Buffer.from('too large'))
+  req.emit('end')
+  req.emit('error', new Error('aborted'))
+  t.deepEqual(responses, [413])
+})
+
+test('only POST is allowed', async t => {
+  const res = await request(t, { method: 'GET', path: '/' })
+  t.is(res.statusCode, 405)
+  t.is(res.headers['allow'], 'POST')
+})
+
+test('export errors are a server error', async t => {
+  t.context.exporter.jobError = 'printToPDF failed'
+  const res = await post(t, '/', 'application/json', JSON.stringify({ url: 'http://localhost' }))
+  t.is(res.statusCode, 500)
+  t.is(JSON.parse(res.body).error, 'printToPDF failed')
+})
+
+test('exporter that is not charged is unavailable', async t => {
+  t.context.exporter.createJob = () => { throw 'Electron is not ready' } // eslint-disable-line no-throw-literal
+  const res = await post(t, '/', 'application/json', JSON.stringify({ url: 'http://localhost' }))
+  t.is(res.statusCode, 503)
+})
+
+test('invalid args are a bad request', async t => {
+  t.context.exporter.createJob = () => Promise.reject(new Error('Unknown permission \'editing\''))
+  const res = await post(t, '/', 'application/json', JSON.stringify({ url: 'http://localhost', args: { permissions: 'editing' } }))
+  t.is(res.statusCode, 400)
+  t.is(JSON.parse(res.body).error, 'Unknown permission \'editing\'')
+})
+
+test('a full export queue is unavailable', async t => {
+  t.context.exporter.createJob = () => {
+    const err = new Error('The export queue is full')
+    err.code = 'QUEUE_FULL'
+    return Promise.reject(err)
+  }
+  const res = await post(t, '/', 'application/json', JSON.stringify({ url: 'http://localhost' }))
+  t.is(res.statusCode, 503)
+})
+
+test('priority is passed to the job', async t => {
+  await post(t, '/', 'application/json', JSON.stringify({ url: 'http://localhost', priority: 10 }))
+  t.is(t.context.exporter.jobs[0].options.priority, 10)
+})
+
+test('windows are destroyed after the response', async t => {
+  await post(t, '/', 'application/json', JSON.stringify({ url: 'http://localhost' }))
+  await new Promise(resolve => setImmediate(resolve))
+  t.true(t.context.exporter.jobs[0].destroyed)
+})
+
+// Support Functions
+/**
+ * An exporter whose jobs complete immediately with a Buffer that names the input
+ */
+function fakeExporter () {
+  return {
+    jobs: [],
+    source: new Source(),
+    createJob (input, output, args, options) {
+      const job = new EventEmitter()
+      Object.assign(job, { input, output, args, options })
+      job.render = () => Promise.resolve(this.render && this.render(job)).then(() => {
+        const data = Buffer.from(`document:${input}`)
+        job.emit('job-complete', { results: [data], error: this.jobError })
+      })
+      job.destroy = () => { job.destroyed = true }
+      this.jobs.push(job)
+      return Promise.resolve(job)
+    }
+  }
+}
+
+function post (t, path, contentType, body) {
+  return request(t, { method: 'POST', path, headers: { 'Content-Type': contentType } }, body)
+}
+
+function request (t, opts, body) {
+  const { port } = t.context.server.server.address()
+  return new Promise((resolve, reject) => {
+    const req = http.request(Object.assign({ host: '127.0.0.1', port }, opts), res => {
+      const chunks = []
+      res.on('data', chunk => chunks.push(chunk))
+      res.on('end', () => resolve({
+        statusCode: res.statusCode,
+        headers: res.headers,
+        body: Buffer.concat(chunks).toString()
+      }))
+    })
+    req.on('error', reject)
+    req.end(body)
+  })
+}
@@ -3,6 +3,10 @@ import test from 'ava'
 var Source = require('../lib/source')
 var source = new Source()
 var fs = require('then-fs')
+var http = require('http')
+var os = require('os')
+var path = require('path')
+var url = require('url')
 
 test('resolve() handles a string', async t => {
   source.resolve('http://www.google.com').then(result => {
@@ -57,3 +61,301 @@ test('resolve() skips undefined css', async t => {
 
   t.true(exists)
 })
+
+test('resolve() resolves relative images and links against the markdown file', async t => {
+  var dir = await fs.mkdtemp(path.join(os.tmpdir(), 'electron-pdf-'))
+  var input = path.join(dir, 'doc.md')
+  await fs.writeFile(input, '![logo](images/logo.png)\n\n[other](other.md) [top](#top) [site](https://example.com/)')
+
+  var result = await source.resolve([input], {})
+  var data = await fs.readFile(result[0], 'utf-8')
+
+  var dirUrl = url.pathToFileURL(dir).href
+  t.true(data.includes(`src="${dirUrl}/images/logo.png"`))
+  t.true(data.includes(`href="${dirUrl}/other.md"`))
+  t.true(data.includes('href="#top"'))
+  t.true(data.includes('href="https://example.com/"'))
+})
+
+test('resolve() resolves relative images against the markdown url', async t => {
+  var server = http.createServer((req, res) => {
+    if (req.url === '/latest.md') {
+      res.writeHead(302, { location: '/docs/guide.md' })
+      return res.end()
+    }
+    res.end('![diagram](../images/diagram.png)')
+  })
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve))
+  var origin = `http://127.0.0.1:${server.address().port}`
+
+  try {
+    var result = await source.resolve([`${origin}/latest.md`], {})
+    var data = await fs.readFile(result[0], 'utf-8')
+    t.true(data.includes(`src="${origin}/images/diagram.png"`))
+  } finally {
+    server.close()
+  }
+})
+
+test('resolve() markdown from a url can not refer to files', async t => {
+  var server = http.createServer((req, res) => {
+    res.end('---\ncss: [file:///etc/passwd, /print.css]\n---\n![secret](file:///etc/passwd) <img src="file:///etc/hosts"> ' +
+      '[local](file:///etc/passwd) ![remote](https://example.com/a.png)')
+  })
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve))
+  var origin = `http://127.0.0.1:${server.address().port}`
+
+  try {
+    var result = await source.resolve([`${origin}/guide.md`], {})
+    var data = await fs.readFile(result[0], 'utf-8')
+    t.false(data.includes('file:///etc'))
+    t.true(data.includes(`href="${origin}/print.css"`))
+    t.true(data.includes('src="https://example.com/a.png"'))
+
+    var input = await writeMarkdown('![secret](file:///etc/passwd)')
+    var local = await fs.readFile((await source.resolve([input], {}))[0], 'utf-8')
+    t.true(local.includes('src="file:///etc/passwd"'))
+  } finally {
+    server.close()
+  }
+})
+
+test('resolve() uses the stylesheets of the package', async t => {
+  var result = await source.resolve(['./README.md'], {})
+  var data = await fs.readFile(result[0], 'utf-8')
+
+  t.true(data.includes(url.pathToFileURL(require.resolve('github-markdown-css/github-markdown.css')).href))
+  t.true(data.includes(url.pathToFileURL(require.resolve('highlight.js/styles/github.css')).href))
+})
+
+test('resolve() applies a theme and highlight theme', async t => {
+  var result = await source.resolve(['./README.md'], { markdownTheme: 'github-dark', highlightTheme: 'monokai' })
+  var data = await fs.readFile(result[0], 'utf-8')
+
+  t.regex(data, /themes\/github-dark\.css/)
+  t.regex(data, /styles\/monokai\.css/)
+  t.notRegex(data, /atom-one-dark\.css/)
+})
+
+test('resolve() rejects an unknown theme', async t => {
+  await t.throws(source.resolve(['./README.md'], { markdownTheme: 'solarized' }), /Invalid markdownTheme 'solarized'/)
+  await t.throws(source.resolve(['./README.md'], { highlightTheme: '../../package' }), /Invalid highlightTheme/)
+})
+
+test('resolve() renders math', async t => {
+  var input = await writeMarkdown('Inline $a_b$, $5 and $10, \\$x\\$ and `$code$`\n\n$$\n\\sum_i x_i\n$$')
+
+  var result = await source.resolve([input], {})
+  var data = await fs.readFile(result[0], 'utf-8')
+
+  t.true(data.includes(url.pathToFileURL(require.resolve('katex/dist/katex.min.css')).href))
+  t.true(data.includes('<annotation encoding="application/x-tex">a_b</annotation>'))
+  t.true(data.includes('<span class="katex-display">'))
+  t.false(data.includes('<p><span class="katex-display">'))
+  t.true(data.includes('$5 and $10, $x$ and <code>$code$</code>'))
+})
+
+test('resolve() waits for diagrams to render', async t => {
+  var input = await writeMarkdown('```mermaid\ngraph TD; A-->B\n```')
+  var args = { markdownTheme: 'github-dark' }
+
+  var result = await source.resolveInputs([input, 'page.html'], args)
+  var data = await fs.readFile(result[0].source, 'utf-8')
+
+  t.true(data.includes('<div class="mermaid">graph TD; A--&gt;B</div>'))
+  t.true(data.includes(url.pathToFileURL(require.resolve('mermaid/dist/mermaid.min.js')).href))
+  t.true(data.includes('{"startOnLoad":false,"theme":"dark"}, "view-ready"'))
+  t.deepEqual(result[0].args, { waitForJSEvent: true })
+  t.deepEqual(result[1], { source: 'page.html' })
+  t.deepEqual(args, { markdownTheme: 'github-dark' })
+})
+
+test('resolve() dispatches the ready event that is waited for', async t => {
+  var input = await writeMarkdown('```mermaid\ngraph TD; A-->B\n```')
+  var args = { waitForJSEvent: 'diagrams-done' }
+
+  var result = await source.resolveInputs([input], args)
+  var data = await fs.readFile(result[0].source, 'utf-8')
+
+  t.true(data.includes('"diagrams-done"'))
+  t.is(result[0].args, undefined)
+  t.is(args.waitForJSEvent, 'diagrams-done')
+})
+
+test('resolve() does not wait without diagrams', async t => {
+  var args = {}
+  var result = await source.resolve(['./README.md'], args)
+  var data = await fs.readFile(result[0], 'utf-8')
+
+  t.false(data.includes('mermaid.min.js'))
+  t.false(data.includes('katex.min.css'))
+  t.is(args.waitForJSEvent, undefined)
+})
+
+// Support Functions
+async function writeMarkdown (markdown) {
+  var dir = await fs.mkdtemp(path.join(os.tmpdir(), 'electron-pdf-'))
+  var input = path.join(dir, 'doc.md')
+  await fs.writeFile(input, markdown)
+  return input
+}
+
+test('resolve() renders footnotes, task lists, heading ids, emoji and alerts', async t => {
+  var input = await writeMarkdown('# Read Me\n\nA note[^1] :tada:\n\n[^1]: The note\n\n- [x] done\n\n> [!WARNING]\n> Careful')
+
+  var result = await source.resolve([input], {})
+  var data = await fs.readFile(result[0], 'utf-8')
+
+  t.true(data.includes('<h1 id="read-me">Read Me</h1>'))
+  t.true(data.includes('<a href="#fn-1" id="fnref-1-1">1</a>'))
+  t.true(data.includes('<li id="fn-1">'))
+  t.true(data.includes('🎉'))
+  t.true(data.includes('<li class="task-list-item"><input checked disabled type="checkbox" /> done</li>'))
+  t.true(data.includes('<div class="markdown-alert markdown-alert-warning">'))
+  t.true(data.includes(url.pathToFileURL(require.resolve('../lib/themes/markdown.css')).href))
+})
+
+test('resolve() sanitizes html by the policy', async t => {
+  var markdown = '<b onclick="x()">bold</b><script>alert(1)</script><iframe src="x"></iframe><span style="color: red">red</span>'
+  var input = await writeMarkdown(markdown)
+  var render = async markdownSanitize => {
+    var result = await source.resolve([input], { markdownSanitize })
+    return fs.readFile(result[0], 'utf-8')
+  }
+
+  var strict = await render(undefined)
+  t.true(strict.includes('<p><b>bold</b><span>red</span></p>'))
+
+  var off = await render('off')
+  t.true(off.includes(markdown))
+
+  var policy = path.join(path.dirname(input), 'policy.json')
+  await fs.writeFile(policy, JSON.stringify({ allowedAttributes: { span: ['style'] } }))
+  var custom = await render(policy)
+  t.true(custom.includes('<p><b>bold</b><span style="color:red">red</span></p>'))
+
+  var fn = await render(html => html.replace('bold', 'strong'))
+  t.true(fn.includes('<script>alert(1)</script>'))
+  t.true(fn.includes('>strong</b>'))
+
+  await t.throws(render('./missing.json'), /Invalid markdownSanitize '.\/missing.json'/)
+})
+
+test('resolveInputs() applies front matter', async t => {
+  var input = await writeMarkdown('---\ntitle: Q3 <Report>\npageSize: Letter\nlandscape: true\nmarkdownTheme: print\n' +
+    'css: [doc.css]\nfooter: "{title}: page {pageNumber} of {totalPages}"\n---\n# Body')
+
+  var result = await source.resolveInputs([input, 'page.html'], { pageSize: 'A4', landscape: false, css: undefined })
+  var data = await fs.readFile(result[0].source, 'utf-8')
+
+  t.true(data.includes('<title>Q3 &lt;Report&gt;</title>'))
+  t.true(data.includes('themes/print.css'))
+  t.true(data.includes(`href="${url.pathToFileURL(path.dirname(input)).href}/doc.css"`))
+  t.false(data.includes('pageSize'))
+  t.deepEqual(result[0].args, {
+    title: 'Q3 <Report>',
+    pageSize: 'Letter',
+    landscape: true,
+    displayHeaderFooter: true,
+    headerTemplate: '<div style="font-size: 10px; margin: 0 auto"></div>',
+    footerTemplate: '<div style="font-size: 10px; margin: 0 auto"><span class="title"></span>: ' +
+      'page <span class="pageNumber"></span> of <span class="totalPages"></span></div>'
+  })
+  t.deepEqual(result[1], { source: 'page.html' })
+})
+
+test('resolveInputs() args that are set take precedence over front matter', async t => {
+  var input = await writeMarkdown('---\n{"title": "Doc", "pageSize": "Letter", "markdownTheme": "print", "header": "Draft"}\n---\n# Body')
+
+  var result = await source.resolveInputs([input], { title: 'Job', pageSize: 'Legal', markdownTheme: 'github-dark', headerTemplate: '<b>h</b>' })
+  var data = await fs.readFile(result[0].source, 'utf-8')
+
+  t.true(data.includes('<title>Doc</title>'))
+  t.true(data.includes('themes/github-dark.css'))
+  t.deepEqual(result[0].args, {
+    displayHeaderFooter: true,
+    footerTemplate: '<div style="font-size: 10px; margin: 0 auto"></div>'
+  })
+})
+
+test('resolveInputs() leaves markdown without front matter alone', async t => {
+  var input = await writeMarkdown('---\n\nText\n---\n')
+
+  var result = await source.resolveInputs([input], {})
+  var data = await fs.readFile(result[0].source, 'utf-8')
+
+  t.is(result[0].args, undefined)
+  t.true(data.includes('<hr />\n<h2 id="text">Text</h2>'))
+})
+
+test('resolve() inserts the table of contents', async t => {
+  var input = await writeMarkdown('# Guide\n\n## Install `npm` & $x^2$\n\n### Deep\n\n## Use\n\n<h2>Raw</h2>')
+
+  var result = await source.resolve([input], { toc: true, tocDepth: 2, tocTitle: 'In this guide' })
+  var data = await fs.readFile(result[0], 'utf-8')
+
+  t.true(data.includes('<article class="markdown-body">\n<nav class="electron-pdf-toc" data-electron-pdf-toc>\n' +
+    '<p class="electron-pdf-toc-title"><strong>In this guide</strong></p>\n' +
+    '<ol>\n<li><a href="#guide">Guide</a><ol>\n' +
+    '<li><a href="#install-npm--electronpdfmath0x">Install npm &#38; x^2</a></li>\n' +
+    '<li><a href="#use">Use</a></li>\n</ol>\n</li>\n</ol>\n</nav>\n<h1 id="guide">'))
+  t.false(data.includes('href="#deep"'))
+})
+
+test('resolve() rejects an invalid toc depth', async t => {
+  await t.throws(source.resolve(['./README.md'], { toc: true, tocDepth: 7 }), /Invalid tocDepth '7'/)
+})
+
+test('resolveInputs() renders templates with data', async t => {
+  var input = await writeMarkdown('')
+  var template = path.join(path.dirname(input), 'invoice.hbs')
+  var dataFile = path.join(path.dirname(input), 'data.json')
+  await fs.writeFile(template, '<p>{{customer}}</p>')
+  await fs.writeFile(dataFile, JSON.stringify({ customer: 'From file' }))
+
+  var fromArg = await source.resolveInputs([template], { data: dataFile })
+  t.true((await fs.readFile(fromArg[0].source, 'utf-8')).endsWith('<p>From file</p>'))
+  t.is(fromArg[0].args, undefined)
+
+  var fromOption = await source.resolve(template, { data: dataFile }, { data: { customer: 'From API' } })
+  t.true((await fs.readFile(fromOption[0], 'utf-8')).endsWith('<p>From API</p>'))
+
+  await t.throws(source.resolve(template, { data: './missing.json' }), /Invalid data '.\/missing.json'/)
+})
+
+test('register() transforms inputs by extension or predicate', async t => {
+  var transformer = new Source()
+  transformer.register('ADOC', input => input.replace(/\.adoc/i, '.html'))
+  transformer.register(input => input.startsWith('cms:'), (input, args, options) => Promise.resolve({
+    source: `https://cms.example.com/${input.slice(4)}`,
+    args: { title: options.data.title }
+  }))
+
+  var result = await transformer.resolveInputs(['guide.adoc', 'https://example.com/guide.ADOC?v=2', 'cms:home', 'page.html'], {}, { data: { title: 'Home' } })
+
+  t.deepEqual(result, [
+    { source: 'guide.html' },
+    { source: 'https://example.com/guide.html?v=2' },
+    { source: 'https://cms.example.com/home', args: { title: 'Home' } },
+    { source: 'page.html' }
+  ])
+})
+
+test('register() the last transformer that matches replaces the built in ones', async t => {
+  var transformer = new Source()
+  transformer.register(['.md', '.markdown'], input => `${input}.html`)
+
+  t.deepEqual(await transformer.resolve('./README.md', {}), ['./README.md.html'])
+  t.true((await source.resolve('./README.md', {}))[0].endsWith('.html'))
+})
+
+test('register() rejects invalid transformers and results', async t => {
+  var transformer = new Source()
+  t.throws(() => transformer.register([], input => input), /Invalid transformer match/)
+  t.throws(() => transformer.register('.adoc'), /Invalid transformer of '.adoc'/)
+
+  transformer.register('.adoc', () => ({}))
+  transformer.register('.rst', () => { throw new Error('rst failed') })
+  await t.throws(transformer.resolve('guide.adoc', {}), /The transformer of guide.adoc did not return a path or URL/)
+  await t.throws(transformer.resolve('guide.rst', {}), /rst failed/)
+})
@@ -0,0 +1,88 @@
+import test from 'ava'
+
+import fs from 'fs'
+import os from 'os'
+import path from 'path'
+import url from 'url'
+
+import Template from '../lib/template'
+
+test('isTemplate_by extension', t => {
+  t.true(Template.isTemplate('invoice.hbs'))
+  t.true(Template.isTemplate('/tmp/invoice.HANDLEBARS'))
+  t.true(Template.isTemplate('file:///tmp/invoice.mustache?v=1'))
+  t.true(Template.isTemplate('invoice.ejs'))
+  t.false(Template.isTemplate('invoice.html'))
+  t.false(Template.isTemplate('https://example.com/invoice.hbs'))
+  t.false(Template.isTemplate(undefined))
+})
+
+test('createHelpers_formatDate', t => {
+  const { formatDate } = Template.createHelpers({ locale: 'en-US' })
+  t.is(formatDate('2024-03-01'), 'Mar 1, 2024')
+  t.is(formatDate('2024-03-01', 'long', 'en-GB'), '1 March 2024')
+  t.is(formatDate(new Date(2024, 0, 31), 'short'), '1/31/24')
+  t.is(formatDate('soon'), 'soon')
+  t.is(formatDate(undefined), '')
+})
+
+test('createHelpers_formatCurrency', t => {
+  const { formatCurrency } = Template.createHelpers({ locale: 'en-US', currency: 'EUR' })
+  t.is(formatCurrency(1234.5), '€1,234.50')
+  t.is(formatCurrency('42', 'USD'), '$42.00')
+  t.is(formatCurrency(42, 'EUR', 'de-DE'), '42,00\u00a0€')
+  t.is(formatCurrency('n/a'), 'n/a')
+  t.is(formatCurrency(''), '')
+  t.is(Template.createHelpers({ locale: 'en-US' }).formatCurrency(1), '$1.00')
+})
+
+test('render_handlebars', async t => {
+  const input = await writeTemplate('invoice.hbs',
+    '<html><head><title>{{customer}}</title></head><body>{{formatCurrency total "EUR"}} {{formatDate issued}}</body></html>')
+  const html = fs.readFileSync(await Template.render(input, { customer: 'A & B', total: 10, issued: '2024-03-01', locale: 'en-US' }), 'utf8')
+  t.is(html, `<html><head><base href="${url.pathToFileURL(input).href}"><title>A &amp; B</title></head>` +
+    '<body>€10.00 Mar 1, 2024</body></html>')
+})
+
+test('render_mustache', async t => {
+  const input = await writeTemplate('invoice.mustache', '{{#items}}<p>{{name}}: {{#formatCurrency}}{{price}}{{/formatCurrency}}</p>{{/items}}')
+  const html = fs.readFileSync(await Template.render(input, { items: [{ name: 'Tea', price: 3 }], locale: 'en-US', currency: 'GBP' }), 'utf8')
+  t.true(html.endsWith('<p>Tea: £3.00</p>'))
+})
+
+test('render_ejs with includes', async t => {
+  const input = await writeTemplate('invoice.ejs', '<%- include("total") %>')
+  fs.writeFileSync(path.join(path.dirname(input), 'total.ejs'), '<b><%= formatCurrency(total) %></b>')
+  const html = fs.readFileSync(await Template.render(url.pathToFileURL(input).href, { total: 5, locale: 'en-US' }), 'utf8')
+  t.true(html.endsWith('<b>$5.00</b>'))
+})
+
+test('render_base follows the doctype of a template without a head', async t => {
+  const input = await writeTemplate('page.hbs', '<!DOCTYPE html>\n<!-- invoice -->\n<html lang="en"><body>{{name}}</body></html>')
+  const base = `<base href="${url.pathToFileURL(input).href}">`
+  t.is(fs.readFileSync(await Template.render(input, { name: 'A' }), 'utf8'),
+    `<!DOCTYPE html>\n<!-- invoice -->\n<html lang="en">${base}<body>A</body></html>`)
+
+  const fragment = await writeTemplate('fragment.hbs', '<p>{{name}}</p>')
+  t.is(fs.readFileSync(await Template.render(fragment, { name: 'A' }), 'utf8'),
+    `<base href="${url.pathToFileURL(fragment).href}"><p>A</p>`)
+})
+
+test('render_keeps the base of the template', async t => {
+  const input = await writeTemplate('page.hbs', '<head><base href="https://example.com/"></head>')
+  t.is(fs.readFileSync(await Template.render(input, {}), 'utf8'), '<head><base href="https://example.com/"></head>')
+})
+
+test('render_fails on invalid templates', async t => {
+  const input = await writeTemplate('broken.hbs', '{{#if}}')
+  await t.throws(Template.render(input, {}))
+})
+
+// Support Functions
+
+function writeTemplate (name, template) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'electron-pdf-'))
+  const input = path.join(dir, name)
+  fs.writeFileSync(input, template)
+  return Promise.resolve(input)
+}
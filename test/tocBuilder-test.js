@@ -0,0 +1,53 @@
+import test from 'ava'
+
+import TocBuilder from '../lib/tocBuilder'
+
+test('getToc_undefined without the toc arg', t => {
+  t.is(TocBuilder.getToc({ tocDepth: 2 }), undefined)
+})
+
+test('getToc_defaults', t => {
+  t.deepEqual(TocBuilder.getToc({ toc: true }), { depth: 3, title: 'Contents', pageNumbers: false })
+  t.deepEqual(TocBuilder.getToc({ toc: true, tocDepth: '6', tocTitle: '', tocPageNumbers: true }),
+    { depth: 6, title: '', pageNumbers: true })
+})
+
+test('getToc_invalid depth', t => {
+  t.throws(() => TocBuilder.getToc({ toc: true, tocDepth: 0 }), /Invalid tocDepth '0'/)
+  t.throws(() => TocBuilder.getToc({ toc: true, tocDepth: 'two' }), /Invalid tocDepth 'two'/)
+})
+
+test('renderToc_nested by level', t => {
+  const toc = { depth: 3, title: '', pageNumbers: false }
+  const html = TocBuilder.renderToc([
+    { level: 2, text: 'Intro', id: 'intro' },
+    { level: 3, text: 'Why', id: 'why' },
+    { level: 4, text: 'Too deep', id: 'deep' },
+    { level: 1, text: 'A <b> & "c"', id: 'a b' },
+    { level: 2, text: 'No id' }
+  ], toc)
+  t.is(html, '<nav class="electron-pdf-toc" data-electron-pdf-toc>\n' +
+    '<ol>\n<li><a href="#intro">Intro</a><ol>\n<li><a href="#why">Why</a></li>\n</ol>\n</li>\n' +
+    '<li><a href="#a%20b">A &#60;b&#62; &#38; &#34;c&#34;</a><ol>\n<li>No id</li>\n</ol>\n</li>\n</ol>\n</nav>\n')
+})
+
+test('renderToc_title and page numbers', t => {
+  const html = TocBuilder.renderToc([{ level: 1, text: 'Intro', id: 'intro' }],
+    { depth: 3, title: 'Contents', pageNumbers: true })
+  t.true(html.includes('<p class="electron-pdf-toc-title"><strong>Contents</strong></p>'))
+  t.true(html.includes('<a href="#intro">Intro</a><span class="electron-pdf-toc-page" style="float: right"></span>'))
+})
+
+test('renderToc_empty without headings', t => {
+  t.is(TocBuilder.renderToc([{ level: 4, text: 'Deep', id: 'deep' }], { depth: 3, title: 'Contents' }), '')
+})
+
+test('getInsertScript_runs the insert function with the toc', t => {
+  const script = TocBuilder.getInsertScript({ depth: 2, title: 'Contents', pageNumbers: true })
+  t.true(script.startsWith('(function insertToc (toc, render)'))
+  t.true(script.includes(')({"depth":2,"title":"Contents","pageNumbers":true}, function renderToc (headings, toc)'))
+})
+
+test('getPageNumbersScript_passes the pages', t => {
+  t.true(TocBuilder.getPageNumbersScript([1, '', 3]).endsWith(')([1,"",3])'))
+})
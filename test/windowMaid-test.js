@@ -40,3 +40,17 @@ test('_cleanupHungWindows handles destroyed window', t => {
   WindowMaid.cleanupHungWindows(-1)
   t.is(WindowMaid.windowCount(), 0)
 })
+
+test('shouldRecycleWindow when maxUses is reached', t => {
+  t.is(WindowMaid.shouldRecycleWindow(10, 100, { maxUses: 10 }), 'maxUses')
+  t.is(WindowMaid.shouldRecycleWindow(9, 100, { maxUses: 10 }), undefined)
+})
+
+test('shouldRecycleWindow when maxMemory is reached', t => {
+  t.is(WindowMaid.shouldRecycleWindow(1, 512, { maxUses: 10, maxMemory: 512 }), 'maxMemory')
+  t.is(WindowMaid.shouldRecycleWindow(1, 511, { maxUses: 10, maxMemory: 512 }), undefined)
+})
+
+test('shouldRecycleWindow without limits', t => {
+  t.is(WindowMaid.shouldRecycleWindow(1000, 8192, {}), undefined)
+})
@@ -0,0 +1,143 @@
+import test from 'ava'
+
+import WindowPool from '../lib/windowPool'
+
+let windowId = 0
+
+test('fill creates windows up to the pool size', t => {
+  const pool = createPool({ windowPoolSize: 2 })
+  pool.fill()
+  t.is(pool.idle.length, 2)
+  pool.fill()
+  t.is(pool.idle.length, 2)
+})
+
+test('lease returns an idle window', t => {
+  const pool = createPool({ windowPoolSize: 1 })
+  pool.fill()
+  const window = pool.lease()
+  t.is(window, pool.windows[window.id].window)
+  t.is(pool.idle.length, 0)
+})
+
+test('lease creates a window when every window is leased', t => {
+  const pool = createPool({ windowPoolSize: 1 })
+  pool.fill()
+  const first = pool.lease()
+  const second = pool.lease()
+  t.not(first, second)
+})
+
+test('release resets the window and makes it idle again', async t => {
+  const pool = createPool({ windowPoolSize: 1 })
+  pool.fill()
+  const window = pool.lease()
+  window.setSize(10, 10)
+
+  await pool.release(window)
+
+  t.deepEqual(pool.idle.map(e => e.window), [window])
+  t.true(window.webContents.session.cleared)
+  t.is(window.webContents.url, 'about:blank')
+  t.deepEqual(window.getSize(), [796, 1123]) // A4
+})
+
+test('release replaces a window after windowMaxUses', async t => {
+  const pool = createPool({ windowPoolSize: 1, windowMaxUses: 2 })
+  const closed = []
+  pool.on('pool.window.closed', e => closed.push(e))
+  pool.fill()
+
+  const window = pool.lease()
+  await pool.release(window)
+  t.is(pool.lease(), window)
+  await pool.release(window)
+
+  t.true(window.closed)
+  t.deepEqual(closed, [{ id: window.id, uses: 2, reason: 'maxUses' }])
+  t.is(pool.idle.length, 1)
+  t.not(pool.idle[0].window, window)
+})
+
+test('release discards a hung window', async t => {
+  const pool = createPool({ windowPoolSize: 1 })
+  pool.fill()
+  const window = pool.lease()
+  await pool.release(window, true)
+  t.true(window.closed)
+  t.is(pool.idle.length, 1)
+})
+
+test('release closes windows beyond the pool size', async t => {
+  const pool = createPool({ windowPoolSize: 1 })
+  pool.fill()
+  const first = pool.lease()
+  const second = pool.lease()
+  await pool.release(first)
+  await pool.release(second)
+  t.false(first.closed)
+  t.true(second.closed)
+  t.is(pool.idle.length, 1)
+})
+
+test('releasing a window twice is ignored', async t => {
+  const pool = createPool({ windowPoolSize: 1 })
+  pool.fill()
+  const window = pool.lease()
+  await pool.release(window)
+  await pool.release(window)
+  t.is(pool.idle.length, 1)
+})
+
+test('lease skips windows that were destroyed while idle', t => {
+  const pool = createPool({ windowPoolSize: 2 })
+  pool.fill()
+  pool.idle[0].window.close()
+  const window = pool.lease()
+  t.false(window.isDestroyed())
+})
+
+test('destroy closes idle windows and does not replace them', t => {
+  const pool = createPool({ windowPoolSize: 2 })
+  pool.fill()
+  const windows = pool.idle.map(e => e.window)
+  pool.destroy()
+  t.true(windows.every(w => w.closed))
+  t.is(pool.idle.length, 0)
+})
+
+// Support Functions
+function createPool (opts) {
+  return new WindowPool(Object.assign({ pageSize: 'A4' }, opts), fakeWindow)
+}
+
+/**
+ * Just enough of a BrowserWindow for the pool and WindowTailor
+ */
+function fakeWindow () {
+  let size = [0, 0]
+  const window = {
+    id: ++windowId,
+    closed: false,
+    getSize: () => size,
+    setSize: (x, y) => { size = [x, y] },
+    isDestroyed: () => window.closed,
+    close: () => { window.closed = true },
+    webContents: {
+      loadURL (url) {
+        this.url = url
+        return Promise.resolve()
+      },
+      session: {
+        getUserAgent: () => 'electron',
+        setUserAgent () {},
+        clearStorageData () {
+          this.cleared = true
+          return Promise.resolve()
+        },
+        clearCache: () => Promise.resolve()
+      }
+    }
+  }
+  return window
+}
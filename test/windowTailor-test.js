@@ -26,6 +26,101 @@ test('getPageDimensions_object_landscapeIsDisregarded', t => {
   })
 })
 
+test('getPaperSize_Letter_inches', t => {
+  t.deepEqual(Tailor.getPaperSize('Letter'), { width: 8.5, height: 11 })
+})
+
+test('getPaperSize_object_microns', t => {
+  t.deepEqual(Tailor.getPaperSize(micronDims), { width: 12, height: 9 })
+})
+
+test('toInches_units', t => {
+  t.is(Tailor.toInches('1in'), 1)
+  t.is(Tailor.toInches('2.54cm'), 1)
+  t.is(Tailor.toInches('12.7 mm'), 0.5)
+  t.is(Tailor.toInches('48px'), 0.5)
+  t.is(Tailor.toInches(96), 1)
+  t.throws(() => Tailor.toInches('-1in'))
+  t.throws(() => Tailor.toInches('1pt'))
+})
+
+test('getMargins_css shorthand', t => {
+  t.deepEqual(Tailor.getMargins({ margins: '1in' }), { top: 1, right: 1, bottom: 1, left: 1 })
+  t.deepEqual(Tailor.getMargins({ margins: '1in 2in' }), { top: 1, right: 2, bottom: 1, left: 2 })
+  t.deepEqual(Tailor.getMargins({ margins: '1in 2in 3in' }), { top: 1, right: 2, bottom: 3, left: 2 })
+  t.deepEqual(Tailor.getMargins({ margins: '1in 2in 3in 4in' }), { top: 1, right: 2, bottom: 3, left: 4 })
+  t.throws(() => Tailor.getMargins({ margins: '1in 2in 3in 4in 5in' }))
+})
+
+test('getMargins_sides override the shorthand', t => {
+  t.deepEqual(Tailor.getMargins({ margins: '1in', marginLeft: '2in' }), { top: 1, right: 1, bottom: 1, left: 2 })
+  t.deepEqual(Tailor.getMargins({ marginTop: '1in' }), { top: 1 })
+  t.deepEqual(Tailor.getMargins({}), {})
+})
+
+test('getPrintableDimensions_margins and scale', t => {
+  t.deepEqual(Tailor.getPrintableDimensions('Letter', false), { x: 816, y: 1056 })
+  const layout = { margins: { top: 1, right: 0.5, bottom: 1, left: 0.5 }, scale: 0.5 }
+  t.deepEqual(Tailor.getPrintableDimensions('Letter', false, layout), { x: 1440, y: 1728 })
+})
+
+test('getPrintableDimensions_device viewport', t => {
+  const layout = { margins: { top: 1 }, scale: 0.5, viewport: { width: 390, height: 844 } }
+  t.deepEqual(Tailor.getPrintableDimensions('Letter', false, layout), { x: 390, y: 844 })
+})
+
+test('getDevice_presets', t => {
+  t.is(Tailor.getDevice({}), undefined)
+  const phone = Tailor.getDevice({ device: 'phone' })
+  t.is(phone.width, 390)
+  t.is(phone.deviceScaleFactor, 3)
+  t.true(phone.mobile)
+  t.true(phone.touch)
+  t.regex(phone.userAgent, /iPhone/)
+  t.is(Tailor.getDevice({ device: 'desktop' }).userAgent, undefined)
+})
+
+test('getDevice_deviceScaleFactor overrides the preset', t => {
+  t.is(Tailor.getDevice({ device: 'tablet', deviceScaleFactor: '1.5' }).deviceScaleFactor, 1.5)
+  t.deepEqual(Tailor.getDevice({ deviceScaleFactor: 2 }), { mobile: false, touch: false, deviceScaleFactor: 2 })
+})
+
+test('getDevice_invalid', t => {
+  t.throws(() => Tailor.getDevice({ device: 'watch' }), /Invalid device 'watch'/)
+  t.throws(() => Tailor.getDevice({ deviceScaleFactor: 0 }), /Invalid deviceScaleFactor/)
+  t.throws(() => Tailor.getDevice({ deviceScaleFactor: 'x' }), /Invalid deviceScaleFactor/)
+})
+
+test('getPageSizeToFit_content, margins and scale', t => {
+  t.deepEqual(Tailor.getPageSizeToFit({ width: 96, height: 48 }, { margins: {}, scale: 1 }), { width: 25400, height: 12700 })
+  const layout = { margins: { top: 1, right: 0.5, bottom: 1, left: 0.5 }, scale: 2 }
+  t.deepEqual(Tailor.getPageSizeToFit({ width: 96, height: 48 }, layout), { width: 76200, height: 76200 })
+})
+
+test('getCaptureSegments_divides the page', t => {
+  t.deepEqual(Tailor.getCaptureSegments(100, 4096), [{ y: 0, height: 100 }])
+  t.deepEqual(Tailor.getCaptureSegments(10000, 4096), [
+    { y: 0, height: 4096 },
+    { y: 4096, height: 4096 },
+    { y: 8192, height: 1808 }
+  ])
+  t.deepEqual(Tailor.getCaptureSegments(0, 4096), [{ y: 0, height: 1 }])
+})
+
+test('getCaptureSegments_divides the page by the device scale factor', t => {
+  t.deepEqual(Tailor.getCaptureSegments(2000, 4096, 5), [
+    { y: 0, height: 819 },
+    { y: 819, height: 819 },
+    { y: 1638, height: 362 }
+  ])
+  t.deepEqual(Tailor.getCaptureSegments(1000, 4096, 2), [{ y: 0, height: 1000 }])
+  t.deepEqual(Tailor.getCaptureSegments(3, 4096, 10000), [
+    { y: 0, height: 1 },
+    { y: 1, height: 1 },
+    { y: 2, height: 1 }
+  ])
+})
+
 test('setWindowDimensions_returns undefined when size is unchanged', t => {
   const win = {
     getSize () { return windowLetterDim }
@@ -48,3 +143,57 @@ test('setWindowDimensions_returns dimension object when size changed', t => {
   const expected = { dimensions: { x: windowLetterDim[1], y: windowLetterDim[0] } }
   t.deepEqual(newDim, expected)
 })
+
+test('resetWindow restores the size, session and page', async t => {
+  const calls = []
+  const win = {
+    getSize () { return windowLetterDim },
+    setSize (x, y) { calls.push(['setSize', x, y]) },
+    webContents: {
+      loadURL (url) {
+        calls.push(['loadURL', url])
+        return Promise.resolve()
+      },
+      session: {
+        setUserAgent (ua, lang) { calls.push(['setUserAgent', ua, lang]) },
+        clearStorageData () {
+          calls.push(['clearStorageData'])
+          return Promise.resolve()
+        },
+        clearCache () {
+          calls.push(['clearCache'])
+          return Promise.resolve()
+        }
+      }
+    }
+  }
+  await Tailor.resetWindow(win, { pageSize: 'A4', userAgent: 'ua', acceptLanguage: 'en-US' })
+  t.deepEqual(calls, [
+    ['setSize', 796, 1123],
+    ['setUserAgent', 'ua', 'en-US'],
+    ['clearStorageData'],
+    ['clearCache'],
+    ['loadURL', 'about:blank']
+  ])
+})
+
+test('resetWindow ends device emulation', async t => {
+  let attached = true
+  const win = {
+    getSize () { return windowLetterDim },
+    webContents: {
+      loadURL: () => Promise.resolve(),
+      debugger: {
+        isAttached: () => attached,
+        detach () { attached = false }
+      },
+      session: {
+        setUserAgent () {},
+        clearStorageData: () => Promise.resolve(),
+        clearCache: () => Promise.resolve()
+      }
+    }
+  }
+  await Tailor.resetWindow(win, { pageSize: 'Letter' })
+  t.false(attached)
+})